@@ -1,135 +1,349 @@
 import { WebSocketServer } from 'ws';
-import * as pty from 'node-pty';
 import { createServer } from 'http';
-import os from 'os';
+import { FRAME_REPLAY, SessionManager, encodeOutputFrame } from './server/sessionManager.js';
+import { loadConfig } from './server/config.js';
+import { resolveProfile } from './server/profiles.js';
+import { DEFAULT_ALLOWED_ORIGINS, getAuthSecret, isOriginAllowed, verifyTerminalToken } from './server/auth.js';
+import { createSessionApiHandler } from './server/sessionApi.js';
+import { checkSessionQuota } from './server/limits.js';
+import { FileTransferHandler, stripDownloadRequests } from './server/fileTransfer.js';
 
 const PORT = 8080;
+// 连接断开后保留终端会话的时长
+const SESSION_DETACH_TIMEOUT = 5 * 60 * 1000;
+// 每个会话用于回放的输出缓冲区大小
+const REPLAY_BUFFER_SIZE = 256 * 1024;
+// 心跳检测间隔，超过一个周期未响应的连接视为已断开
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// 文件上传和下载消息，由 FileTransferHandler 处理
+const FILE_TRANSFER_MESSAGES = ['upload-start', 'upload-chunk', 'upload-end', 'upload-cancel', 'download', 'download-cancel'];
+// 只有会话创建者可以发送的消息
+const OWNER_MESSAGES = ['record', 'share', 'unshare', 'kill', 'host-key', ...FILE_TRANSFER_MESSAGES];
 
 // 创建HTTP服务器
 const server = createServer();
 
+// 允许连接的页面来源，来自 config.yaml 的 auth.allowedOrigins
+const allowedOrigins = loadConfig().auth?.allowedOrigins || DEFAULT_ALLOWED_ORIGINS;
+
+// 提前生成签名密钥，确保与 Astro 端共享同一个 .terminal-secret
+getAuthSecret();
+
 // 创建WebSocket服务器
 const wss = new WebSocketServer({ 
   server,
-  path: '/terminal'
+  path: '/terminal',
+  verifyClient: verifyClient
 });
 
+// WebSocket升级时校验来源和一次性令牌
+function verifyClient({ origin, req }, done) {
+  if (!isOriginAllowed(origin, allowedOrigins)) {
+    console.warn(`🚫 拒绝来自未授权来源的连接: ${origin}`);
+    done(false, 403, 'Origin not allowed');
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const claims = verifyTerminalToken(url.searchParams.get('token'));
+  if (!claims) {
+    console.warn('🚫 拒绝未认证的连接: 令牌无效或已过期');
+    done(false, 401, 'Invalid or expired token');
+    return;
+  }
+
+  req.user = claims.user;
+  done(true);
+}
+
 console.log(`🚀 终端WebSocket服务器启动在端口 ${PORT}`);
 
-// 存储终端会话
-const terminals = new Map();
+// 会话管理器：连接断开后保留终端进程以便重新连接
+// 共享会话的客户端尺寸不同时按 config.yaml 的 sharing.resizePolicy 调整 PTY 尺寸
+const sessionManager = new SessionManager({
+  detachTimeout: SESSION_DETACH_TIMEOUT,
+  bufferSize: REPLAY_BUFFER_SIZE,
+  resizePolicy: loadConfig().sharing?.resizePolicy
+});
+
+// 会话管理 REST 接口
+server.on('request', createSessionApiHandler(sessionManager));
+
+// 心跳检测：定期ping所有连接，清理半开连接
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      console.log('💔 心跳超时，断开连接');
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => {
+  clearInterval(heartbeat);
+});
 
 wss.on('connection', (ws, req) => {
-  console.log('🔗 新的终端连接建立');
-  
-  const terminalId = generateId();
-  
-  // 根据操作系统选择shell
-  const shell = os.platform() === 'win32' ? 'powershell.exe' : process.env.SHELL || '/bin/bash';
-  
-  try {
-    // 创建伪终端进程
-    const terminal = pty.spawn(shell, [], {
-      name: 'xterm-color',
-      cols: 80,
-      rows: 30,
-      cwd: process.cwd(),
-      env: {
-        ...process.env,
-        TERM: 'xterm-256color',
-        COLORTERM: 'truecolor'
-      }
-    });
-
-    // 存储终端实例
-    terminals.set(terminalId, terminal);
-    
-    console.log(`✅ 终端进程创建成功: PID ${terminal.pid}, Shell: ${shell}`);
-
-    // 监听终端输出并发送到客户端
-    terminal.onData((data) => {
-      if (ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify({
-          type: 'output',
-          data: data
-        }));
-      }
-    });
-
-    // 监听终端退出
-    terminal.onExit((code, signal) => {
-      console.log(`🔚 终端进程退出: code=${code}, signal=${signal}`);
-      terminals.delete(terminalId);
-      
-      if (ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify({
-          type: 'exit',
-          code: code,
-          signal: signal
-        }));
-        ws.close();
-      }
-    });
-
-    // 处理客户端消息
-    ws.on('message', (message) => {
-      try {
-        const data = JSON.parse(message.toString());
-        
-        switch (data.type) {
-          case 'input':
-            // 将用户输入发送到终端
-            terminal.write(data.data);
-            break;
-            
-          case 'resize':
-            // 调整终端大小
-            terminal.resize(data.cols, data.rows);
-            console.log(`🔄 终端大小调整为: ${data.cols}x${data.rows}`);
-            break;
-            
-          default:
-            console.warn('⚠️ 未知消息类型:', data.type);
-        }
-      } catch (error) {
-        console.error('❌ 处理消息时出错:', error);
-      }
-    });
+  const user = req.user;
+  console.log(`🔗 新的终端连接建立: 用户 ${user}`);
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  // 客户端通过 ?terminalId= 请求重新连接到已有会话，或通过 ?share= 以共享链接加入他人的会话
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const requestedId = url.searchParams.get('terminalId');
+  const shareToken = url.searchParams.get('share');
+  // 重新连接时客户端已收到的输出字节数，只回放之后的输出
+  const outputOffset = url.searchParams.has('offset') ? Number(url.searchParams.get('offset')) : null;
+
+  let session;
+  // 当前连接的身份：owner 为会话创建者，共享链接加入时为 read-only 或 read-write
+  let role = 'owner';
+  // 本连接上进行中的文件传输
+  const fileTransfers = new FileTransferHandler(ws);
+
+  if (shareToken) {
+    const shared = sessionManager.resolveShare(shareToken);
+    if (shared) {
+      console.log(`👥 用户 ${user} 通过共享链接加入会话 ${shared.session.id} (${shared.mode})`);
+      role = shared.mode;
+      attachSession(shared.session, true);
+    } else {
+      console.log('⚠️ 共享链接无效或会话已结束');
+      ws.send(JSON.stringify({
+        type: 'expired',
+        shared: true
+      }));
+    }
+  } else if (requestedId) {
+    const existing = sessionManager.get(requestedId);
+
+    // 只能重新连接到自己创建的会话
+    if (existing && existing.user !== user) {
+      console.warn(`🚫 用户 ${user} 无权连接会话 ${requestedId}`);
+    }
+
+    if (existing && existing.user === user) {
+      console.log(`🔁 重新连接到终端会话: ${existing.id}`);
+      attachSession(existing, true);
+    } else {
+      // 会话已结束，由客户端决定是否以 spawn 消息重新创建
+      console.log(`⚠️ 会话不存在或已结束: ${requestedId}`);
+      ws.send(JSON.stringify({
+        type: 'expired',
+        terminalId: requestedId
+      }));
+    }
+  }
+
+  // 绑定会话并通知客户端，重新连接时回放客户端尚未收到的输出
+  function attachSession(target, reattached) {
+    session = target;
+    // 缓存中的输出先发给已有客户端，回放覆盖到缓冲区末尾，新连接不会漏收或重复收到
+    session.flushOutput();
+    const replay = session.getReplay(outputOffset);
 
-    // 发送连接成功消息
     ws.send(JSON.stringify({
       type: 'connected',
-      terminalId: terminalId,
-      shell: shell,
-      pid: terminal.pid
+      terminalId: session.id,
+      profile: session.profile.id,
+      profileName: session.profile.name,
+      shell: session.shell,
+      cwd: session.cwdTracker.cwd,
+      pid: session.pid,
+      recording: Boolean(session.recorder),
+      role: role,
+      shared: sessionManager.isShared(session),
+      reattached: reattached,
+      // reset 时回放的是缓冲区内的全部输出，客户端需先清空终端
+      reset: reattached && replay.reset,
+      outputOffset: replay.offset
     }));
 
-  } catch (error) {
-    console.error('❌ 创建终端进程失败:', error);
-    ws.send(JSON.stringify({
-      type: 'error',
-      message: '创建终端进程失败: ' + error.message
-    }));
-    ws.close();
+    // 先发送 connected 再加入会话，保证客户端收到的在线列表晚于 connected
+    sessionManager.attach(session, ws, { user, role });
+
+    if (reattached) {
+      const history = stripDownloadRequests(replay.data);
+      if (history) {
+        session.sendOutput(ws, encodeOutputFrame(history, FRAME_REPLAY));
+      }
+    }
+  }
+
+  // 按客户端选择的启动配置创建终端进程
+  function spawnSession(data) {
+    if (session || shareToken) {
+      console.warn('⚠️ 连接已绑定终端会话，忽略 spawn 消息');
+      return;
+    }
+
+    // 会话数超出限制时拒绝创建
+    const quotaError = checkSessionQuota(sessionManager.list(), user);
+    if (quotaError) {
+      console.warn(`🚫 拒绝为用户 ${user} 创建终端: ${quotaError}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'session-limit',
+        message: quotaError
+      }));
+      ws.close();
+      return;
+    }
+
+    try {
+      // 新标签页和分屏沿用来源会话的当前目录，只能是自己的会话
+      const source = data.cwdFrom ? sessionManager.get(String(data.cwdFrom)) : null;
+      const profile = resolveProfile(data.profile, {
+        cwd: source && source.user === user ? source.getCwd() : null
+      });
+      attachSession(sessionManager.create({
+        user,
+        profile,
+        cols: data.cols,
+        rows: data.rows
+      }), false);
+    } catch (error) {
+      console.error('❌ 创建终端进程失败:', error);
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: '创建终端进程失败: ' + error.message
+      }));
+      ws.close();
+    }
   }
 
-  // 处理连接关闭
+  // 处理客户端消息
+  ws.on('message', (message) => {
+    try {
+      const data = JSON.parse(message.toString());
+
+      // 心跳与创建会话之外的消息需要已绑定的会话
+      if (!session && data.type !== 'spawn' && data.type !== 'ping') {
+        return;
+      }
+
+      // 录制、共享、文件传输和结束进程只允许会话创建者操作，只读访客不能输入
+      if (role !== 'owner' && OWNER_MESSAGES.includes(data.type)) {
+        console.warn(`🚫 共享访客无权执行 ${data.type}`);
+        return;
+      }
+      if (role === 'read-only' && data.type === 'input') {
+        return;
+      }
+
+      switch (data.type) {
+        case 'spawn':
+          spawnSession(data);
+          break;
+
+        case 'input':
+          // 将用户输入发送到终端
+          session.write(data.data);
+          break;
+
+        case 'ack':
+          // 客户端终端已处理完的输出字节数，用于流量控制
+          session.acknowledge(ws, Number(data.bytes));
+          break;
+
+        case 'resize':
+          // 记录客户端尺寸，PTY 尺寸按调整策略综合所有客户端计算
+          session.setClientSize(ws, data.cols, data.rows);
+          break;
+
+        case 'share':
+          // 生成共享令牌，客户端据此拼出共享链接
+          try {
+            const token = sessionManager.share(session, data.mode);
+            ws.send(JSON.stringify({ type: 'shared', token: token, mode: data.mode }));
+          } catch (error) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: '共享失败: ' + error.message
+            }));
+          }
+          break;
+
+        case 'unshare':
+          // 停止共享并断开所有访客
+          sessionManager.unshare(session);
+          ws.send(JSON.stringify({ type: 'unshared' }));
+          break;
+
+        case 'record':
+          // 开始/停止录制当前会话
+          try {
+            if (data.enabled) {
+              const file = session.startRecording();
+              ws.send(JSON.stringify({ type: 'recording', enabled: true, file: file }));
+            } else {
+              session.stopRecording();
+              ws.send(JSON.stringify({ type: 'recording', enabled: false }));
+            }
+          } catch (error) {
+            console.error('❌ 切换录制状态失败:', error);
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: '录制失败: ' + error.message
+            }));
+          }
+          break;
+
+        case 'host-key':
+          // 创建者对 SSH 主机密钥的确认结果
+          session.answerHostKey(data.accept);
+          break;
+
+        case 'upload-start':
+        case 'upload-chunk':
+        case 'upload-end':
+        case 'upload-cancel':
+        case 'download':
+        case 'download-cancel':
+          // 上传到会话的工作目录，或把 xt-download 指定的文件发送给客户端
+          fileTransfers.handle(session, data);
+          break;
+
+        case 'ping':
+          // 客户端心跳，用于检测半开连接
+          ws.isAlive = true;
+          ws.send(JSON.stringify({ type: 'pong' }));
+          break;
+
+        case 'kill':
+          // 客户端主动关闭标签页，结束终端进程
+          sessionManager.kill(session.id);
+          break;
+
+        default:
+          console.warn('⚠️ 未知消息类型:', data.type);
+      }
+    } catch (error) {
+      console.error('❌ 处理消息时出错:', error);
+    }
+  });
+
+  // 处理连接关闭：仅分离会话，终端进程继续运行
   ws.on('close', () => {
     console.log('🔌 终端连接断开');
-    const terminal = terminals.get(terminalId);
-    if (terminal) {
-      terminal.kill();
-      terminals.delete(terminalId);
+    fileTransfers.dispose();
+    if (session) {
+      sessionManager.detach(session, ws);
     }
   });
 
   // 处理错误
   ws.on('error', (error) => {
     console.error('❌ WebSocket错误:', error);
-    const terminal = terminals.get(terminalId);
-    if (terminal) {
-      terminal.kill();
-      terminals.delete(terminalId);
+    if (session) {
+      sessionManager.detach(session, ws);
     }
   });
 });
@@ -138,22 +352,15 @@ wss.on('connection', (ws, req) => {
 server.listen(PORT, () => {
   console.log(`🎯 HTTP服务器监听端口 ${PORT}`);
   console.log(`🔗 WebSocket终端服务: ws://localhost:${PORT}/terminal`);
+  console.log(`🛠️ 会话管理接口: http://localhost:${PORT}/api/sessions`);
 });
 
-// 生成唯一ID
-function generateId() {
-  return Math.random().toString(36).substr(2, 9);
-}
-
 // 优雅关闭
 process.on('SIGINT', () => {
   console.log('\n🛑 正在关闭服务器...');
   
   // 关闭所有终端进程
-  terminals.forEach((terminal, id) => {
-    console.log(`🔚 关闭终端进程: ${id}`);
-    terminal.kill();
-  });
+  sessionManager.killAll();
   
   wss.close(() => {
     console.log('✅ WebSocket服务器已关闭');
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { REDACTED_TOKEN, getSecretReference } from '../src/services/aiSettings.js';
+import { encryptSecret, isAllowedSecretReference, revealSecret } from './secrets.js';
+
+/**
+ * ai-config.yaml 的读写
+ * API 令牌只保存在服务端：返回给浏览器的配置中令牌替换为占位符，
+ * 浏览器提交的配置中的占位符表示沿用已保存的令牌。
+ * 令牌加密后写入文件（见 secrets.js），也可以写成 ${ENV_VAR} 引用环境变量。
+ * 浏览器提交的令牌只在服务地址未改动时沿用，避免把已保存的令牌或环境变量发往浏览器指定的其他地址
+ */
+
+const aiConfigPath = path.join(process.cwd(), 'ai-config.yaml');
+const backupPath = `${aiConfigPath}.backup`;
+
+// 已配置的令牌在浏览器中显示为占位符 REDACTED_TOKEN
+
+export const DEFAULT_AI_CONFIG = {
+  ai: {
+    serviceType: 'ollama',
+    ollama: {
+      host: 'http://localhost:11434',
+      model: 'llama3.2:latest'
+    },
+    openai: {
+      baseUrl: 'https://api.openai.com/v1',
+      apiToken: '',
+      model: 'gpt-3.5-turbo'
+    },
+    anthropic: {
+      baseUrl: 'https://api.anthropic.com',
+      apiToken: '',
+      model: 'claude-sonnet-4-5'
+    },
+    gemini: {
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      apiToken: '',
+      model: 'gemini-2.5-flash'
+    },
+    llamacpp: {
+      baseUrl: 'http://localhost:1234/v1',
+      apiToken: '',
+      model: ''
+    },
+    parameters: {
+      temperature: 0.7,
+      topP: 0.9,
+      maxTokens: 512,
+      systemPrompt: ''
+    },
+    context: {
+      mode: 'turns',
+      maxTurns: 10,
+      maxTokens: 2048,
+      summarize: true,
+      terminalLines: 50
+    },
+    // 通过 AI 面板的选择框或 /profile <name> 切换的配置档案，例如
+    //   fast: { name: Fast, serviceType: ollama, model: llama3.2:latest, parameters: { temperature: 0.2 } }
+    //   debug: { name: Debug, serviceType: anthropic, model: claude-sonnet-4-5, systemPrompt: ... }
+    // 地址和令牌等连接信息取自上面对应服务的配置
+    profiles: {},
+    activeProfile: ''
+  }
+};
+
+/**
+ * 读取 ai-config.yaml（令牌为加密后的形式），文件不存在时写入默认配置
+ * 旧版本保存的明文令牌在读取时加密并写回
+ */
+export function loadAIConfig() {
+  if (!fs.existsSync(aiConfigPath)) {
+    const config = structuredClone(DEFAULT_AI_CONFIG);
+    writeAIConfig(aiConfigPath, config);
+    return config;
+  }
+
+  const config = readAIConfig(aiConfigPath);
+  if (encryptTokens(config)) {
+    writeAIConfig(aiConfigPath, config);
+    console.log('🔐 已加密 ai-config.yaml 中的明文 API 令牌');
+
+    // 备份文件可能也是旧版本写入的明文
+    if (fs.existsSync(backupPath)) {
+      const backup = readAIConfig(backupPath);
+      if (encryptTokens(backup)) writeAIConfig(backupPath, backup);
+    }
+  }
+  return config;
+}
+
+/**
+ * 读取配置并取得令牌明文，供服务端调用 AI 服务
+ */
+export function loadResolvedAIConfig() {
+  return resolveAISecrets(loadAIConfig());
+}
+
+/**
+ * 保存浏览器提交的配置：先备份原配置，令牌占位符替换回已保存的令牌，新令牌加密后写入
+ * 服务地址改动后占位符不再沿用已保存的令牌，需要为新地址重新填写
+ */
+export function saveAIConfig(config) {
+  const stored = fs.existsSync(aiConfigPath) ? loadAIConfig() : {};
+  restoreRedactedTokens(config, stored);
+  encryptTokens(config);
+
+  if (fs.existsSync(aiConfigPath)) {
+    writeAIConfig(backupPath, stored);
+  }
+  writeAIConfig(aiConfigPath, config);
+}
+
+/**
+ * 返回给浏览器的配置副本，已配置的令牌替换为占位符
+ * 环境变量引用不含令牌本身，原样返回以便在设置中显示
+ */
+export function redactAIConfig(config) {
+  const redacted = structuredClone(config);
+  forEachTokenSection(redacted, (section) => {
+    if (section.apiToken && !getSecretReference(section.apiToken)) section.apiToken = REDACTED_TOKEN;
+  });
+  return redacted;
+}
+
+/**
+ * 配置副本，令牌解密、环境变量引用展开为明文
+ */
+export function resolveAISecrets(config) {
+  const resolved = structuredClone(config);
+  forEachTokenSection(resolved, (section) => {
+    section.apiToken = revealSecret(section.apiToken);
+  });
+  return resolved;
+}
+
+/**
+ * 检查浏览器提交的配置中的令牌：占位符替换为已保存的令牌；
+ * 服务地址改动后占位符和环境变量引用都清空，需要为新地址重新填写令牌；
+ * 新的环境变量引用须是允许引用的变量（见 isAllowedSecretReference），否则抛出错误
+ */
+export function restoreRedactedTokens(config, stored) {
+  forEachTokenSection(config, (section, name) => {
+    const redacted = section.apiToken === REDACTED_TOKEN;
+    const reference = getSecretReference(section.apiToken);
+    if (!redacted && !reference) return;
+
+    const original = stored.ai?.[name] || {};
+    const sameUrl = (section.baseUrl || section.host) === (original.baseUrl || original.host);
+    if (!sameUrl) {
+      section.apiToken = '';
+    } else if (redacted) {
+      section.apiToken = original.apiToken || '';
+    } else if (section.apiToken !== original.apiToken && !isAllowedSecretReference(reference)) {
+      const error = new Error(`不允许引用环境变量 ${reference}：请使用以 _API_KEY 或 _API_TOKEN 结尾的变量，或将其加入 config.yaml 的 aiSecrets.allowedEnvVars`);
+      error.status = 400;
+      throw error;
+    }
+  });
+  return config;
+}
+
+// 加密配置中的明文令牌，返回是否有改动
+function encryptTokens(config) {
+  let changed = false;
+  forEachTokenSection(config, (section) => {
+    const encrypted = encryptSecret(section.apiToken);
+    if (encrypted !== section.apiToken) {
+      section.apiToken = encrypted;
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// 遍历含有 apiToken 字段的服务配置
+function forEachTokenSection(config, callback) {
+  Object.entries(config?.ai || {}).forEach(([name, section]) => {
+    if (section && typeof section === 'object' && 'apiToken' in section) {
+      callback(section, name);
+    }
+  });
+}
+
+function readAIConfig(filePath) {
+  return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+}
+
+// 配置中含有令牌，只允许当前用户读写（mode 只在新建文件时生效，已有文件单独修改权限）
+function writeAIConfig(filePath, config) {
+  const yamlStr = yaml.dump(config, {
+    indent: 2,
+    quotingType: '"',
+    forceQuotes: false
+  });
+  fs.writeFileSync(filePath, yamlStr, { encoding: 'utf8', mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 终端服务认证
+ * Astro 端用共享密钥签发一次性短期令牌，终端服务器在 WebSocket 升级时校验，
+ * 密钥取自 TERMINAL_AUTH_SECRET 环境变量，未设置时自动生成并保存到 .terminal-secret
+ */
+
+const secretPath = path.join(process.cwd(), '.terminal-secret');
+
+// 默认允许的页面来源（Astro 开发与预览服务器）
+export const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:4321',
+  'http://127.0.0.1:4321'
+];
+
+// 令牌默认有效期（秒）
+const DEFAULT_TOKEN_TTL = 60;
+
+// 已使用的令牌随机数及其过期时间，用于拒绝重放
+const usedNonces = new Map();
+
+let cachedSecret = null;
+
+/**
+ * 获取签名密钥
+ */
+export function getAuthSecret() {
+  if (cachedSecret) return cachedSecret;
+
+  if (process.env.TERMINAL_AUTH_SECRET) {
+    cachedSecret = process.env.TERMINAL_AUTH_SECRET;
+    return cachedSecret;
+  }
+
+  try {
+    // wx: 文件已存在时失败，避免两个进程同时生成不同的密钥
+    fs.writeFileSync(secretPath, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  cachedSecret = fs.readFileSync(secretPath, 'utf8').trim();
+  return cachedSecret;
+}
+
+/**
+ * 签发一次性终端令牌
+ */
+export function createTerminalToken(user, ttl = DEFAULT_TOKEN_TTL) {
+  const payload = Buffer.from(JSON.stringify({
+    user: user,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    exp: Date.now() + ttl * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * 校验终端令牌，成功返回令牌声明，失败返回 null
+ * 每个令牌只能使用一次
+ */
+export function verifyTerminalToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const now = Date.now();
+  pruneUsedNonces(now);
+
+  if (!claims.exp || claims.exp < now || usedNonces.has(claims.nonce)) {
+    return null;
+  }
+
+  usedNonces.set(claims.nonce, claims.exp);
+  return claims;
+}
+
+/**
+ * 检查请求来源是否在允许列表中
+ * 非浏览器客户端不发送 Origin，此时仅依赖令牌校验
+ */
+export function isOriginAllowed(origin, allowedOrigins = DEFAULT_ALLOWED_ORIGINS) {
+  if (!origin) return true;
+  return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+/**
+ * 校验 HTTP Basic 认证头，成功返回用户名
+ * users 为 config.yaml 中 auth.users 的 用户名 -> 密码 映射
+ */
+export function authenticateBasic(header, users) {
+  if (!header || !header.startsWith('Basic ')) return null;
+
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+
+  const user = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+  if (!Object.prototype.hasOwnProperty.call(users, user)) return null;
+
+  // 比较摘要以保证等长，避免时序攻击
+  const expected = crypto.createHash('sha256').update(String(users[user])).digest();
+  const actual = crypto.createHash('sha256').update(password).digest();
+  return crypto.timingSafeEqual(expected, actual) ? user : null;
+}
+
+/**
+ * 校验管理接口请求：Bearer 共享密钥（本机脚本，可管理所有会话），
+ * 或 config.yaml 中 auth.users 的 Basic 认证（只能管理自己的会话）
+ * 成功返回 { user, admin }，失败返回 null
+ */
+export function authenticateApiRequest(header, users = {}) {
+  if (header && header.startsWith('Bearer ')) {
+    const expected = crypto.createHash('sha256').update(getAuthSecret()).digest();
+    const actual = crypto.createHash('sha256').update(header.slice(7).trim()).digest();
+    return crypto.timingSafeEqual(expected, actual) ? { user: null, admin: true } : null;
+  }
+
+  const user = authenticateBasic(header, users);
+  return user ? { user, admin: false } : null;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getAuthSecret()).update(payload).digest('base64url');
+}
+
+function pruneUsedNonces(now) {
+  usedNonces.forEach((exp, nonce) => {
+    if (exp < now) usedNonces.delete(nonce);
+  });
+}
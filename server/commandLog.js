@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+
+/**
+ * AI 命令执行日志
+ * 每条经 AI 面板插入终端并执行的命令追加一行 JSON，记录来源聊天条目ID
+ */
+
+// 读取日志时最多返回的条数
+const MAX_READ_ENTRIES = 500;
+
+/**
+ * 日志文件路径，来自 config.yaml 的 commandSafety.logFile
+ */
+export function getCommandLogPath() {
+  return path.resolve(process.cwd(), loadConfig().commandSafety?.logFile || 'logs/ai-commands.jsonl');
+}
+
+/**
+ * 追加一条日志
+ */
+export function appendCommandLog(entry) {
+  const logPath = getCommandLogPath();
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+}
+
+/**
+ * 读取用户自己最近的日志，按时间倒序
+ */
+export function readCommandLog(user, limit = 100) {
+  const logPath = getCommandLogPath();
+  if (!fs.existsSync(logPath)) return [];
+
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.user === user)
+    .slice(-Math.min(limit, MAX_READ_ENTRIES))
+    .reverse();
+}
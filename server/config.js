@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const configPath = path.join(process.cwd(), 'config.yaml');
+
+/**
+ * 读取 config.yaml，文件不存在或解析失败时返回空对象
+ */
+export function loadConfig() {
+  try {
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    return yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    console.error('❌ 读取配置文件失败:', error);
+    return {};
+  }
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+
+/**
+ * 工作目录跟踪
+ * shell 集成脚本在每次显示提示符前输出 OSC 7（file://主机名/路径），据此得到 shell 的当前目录；
+ * 没有 OSC 7 的本机进程（未注入集成的 shell、REPL 等）在有输出后读取 /proc/<pid>/cwd。
+ * OSC 7 可以由任何输出伪造（cat 一个文件、SSH 里的 shell），因此只用于显示；
+ * 上传文件等用到的本机目录优先取 /proc/<pid>/cwd，读不到时（如 macOS）才采用本机会话中主机名为本机的 OSC 7
+ */
+
+const OSC7_START = '\x1b]7;';
+const OSC7_PATTERN = /\x1b\]7;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+// 跨输出块保留的未结束序列的最大长度，超过时视为无效序列丢弃
+const MAX_PARTIAL_LENGTH = 4096;
+// 有输出后延迟读取 /proc，连续输出时合并为一次
+const PROC_POLL_DELAY = 500;
+
+export class CwdTracker {
+  /**
+   * @param {number|null} pid 本机进程ID，SSH 和容器会话为 null（其 OSC 7 只用于显示）
+   * @param {string|null} initialCwd 启动目录
+   * @param {(cwd: string) => void} onChange 显示用的当前目录变化时调用
+   */
+  constructor(pid, initialCwd, onChange) {
+    this.pid = pid;
+    this.initialCwd = initialCwd;
+    this.onChange = onChange;
+    this.cwd = initialCwd; // 显示用的当前目录，可能是远程主机上的路径
+    this.localCwd = null; // 本机会话中 OSC 7 报告的本机目录，读不到 /proc 时使用
+    this.reported = false; // 收到过 OSC 7 后不再读取 /proc
+    this.partial = '';
+    this.pollTimer = null;
+  }
+
+  /**
+   * 处理一段终端输出
+   */
+  update(data) {
+    const text = this.partial + data;
+    this.partial = unterminatedTail(text);
+
+    let latest = null;
+    for (const match of text.matchAll(OSC7_PATTERN)) {
+      latest = parseFileUrl(match[1]) || latest;
+    }
+
+    if (latest) {
+      this.reported = true;
+      if (latest.local && this.pid) this.localCwd = latest.path;
+      this.setCwd(latest.path);
+    } else if (!this.reported && this.pid && !this.pollTimer) {
+      this.pollTimer = setTimeout(() => {
+        this.pollTimer = null;
+        const cwd = readProcCwd(this.pid);
+        if (cwd) this.setCwd(cwd);
+      }, PROC_POLL_DELAY);
+    }
+  }
+
+  /**
+   * 本机上的当前目录：/proc/<pid>/cwd，其次 OSC 7 报告的目录，都没有时为启动目录
+   */
+  getLocalCwd() {
+    return (this.pid && readProcCwd(this.pid)) || this.localCwd || this.initialCwd;
+  }
+
+  dispose() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  setCwd(cwd) {
+    if (cwd === this.cwd) return;
+    this.cwd = cwd;
+    this.onChange(cwd);
+  }
+}
+
+// 解析 file://主机名/路径，主机名为空、localhost 或本机名时为本机目录
+function parseFileUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'file:') return null;
+
+  let filePath;
+  try {
+    filePath = decodeURIComponent(url.pathname);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname;
+  return {
+    path: filePath,
+    local: !host || host === 'localhost' || host === os.hostname().toLowerCase()
+  };
+}
+
+// 输出块末尾尚未结束的 OSC 7，留到下一块一起解析
+function unterminatedTail(text) {
+  const start = text.lastIndexOf(OSC7_START);
+  if (start !== -1) {
+    const rest = text.slice(start + OSC7_START.length);
+    const end = rest.search(/[\x07\x1b]/);
+    // ST（ESC \）可能被截断在两块之间
+    if (end === -1 || (end === rest.length - 1 && rest.endsWith('\x1b'))) {
+      return text.length - start <= MAX_PARTIAL_LENGTH ? text.slice(start) : '';
+    }
+  }
+
+  // 序列开头本身被截断
+  for (let length = OSC7_START.length - 1; length > 0; length--) {
+    if (text.endsWith(OSC7_START.slice(0, length))) return text.slice(-length);
+  }
+  return '';
+}
+
+function readProcCwd(pid) {
+  try {
+    return fs.readlinkSync(`/proc/${pid}/cwd`);
+  } catch {
+    return null;
+  }
+}
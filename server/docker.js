@@ -0,0 +1,122 @@
+import fs from 'fs';
+import http from 'http';
+import { loadConfig } from './config.js';
+
+/**
+ * Docker Engine API 客户端
+ * 通过 Unix socket 访问本机 Docker（config.yaml 的 docker.socketPath，默认 /var/run/docker.sock），
+ * 不依赖 docker 命令行。能访问 Docker socket 等同于拥有宿主机 root 权限，可用 docker.enabled: false 关闭
+ */
+
+// Docker 20.10 起支持的 API 版本
+const API_VERSION = 'v1.41';
+const DEFAULT_SOCKET_PATH = '/var/run/docker.sock';
+
+export function getDockerSettings() {
+  const docker = loadConfig().docker || {};
+  return {
+    enabled: docker.enabled !== false,
+    socketPath: docker.socketPath || DEFAULT_SOCKET_PATH
+  };
+}
+
+/**
+ * 是否可以使用容器标签页：未关闭且 Docker socket 存在
+ */
+export function isDockerAvailable() {
+  const { enabled, socketPath } = getDockerSettings();
+  return enabled && fs.existsSync(socketPath);
+}
+
+/**
+ * 调用 Docker Engine API，返回解析后的 JSON；出错时抛出带有 Docker 错误信息的异常
+ */
+export function dockerRequest(method, apiPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      socketPath: getDockerSettings().socketPath,
+      method,
+      path: `/${API_VERSION}${apiPath}`,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch {
+          data = { message: text };
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(data?.message || `Docker API 返回 ${res.statusCode}`);
+          error.status = res.statusCode;
+          reject(error);
+        } else {
+          resolve(data);
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`无法连接 Docker: ${error.message}`));
+    });
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+/**
+ * 列出运行中的容器
+ */
+export async function listContainers() {
+  const containers = await dockerRequest('GET', '/containers/json');
+  return containers.map(container => ({
+    id: container.Id.slice(0, 12),
+    name: (container.Names?.[0] || container.Id.slice(0, 12)).replace(/^\//, ''),
+    image: container.Image,
+    status: container.Status
+  }));
+}
+
+/**
+ * 启动 exec 并接管连接：Docker 以 101 响应切换协议后，socket 即为 exec 的终端输入输出
+ */
+export function startExec(execId) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      socketPath: getDockerSettings().socketPath,
+      method: 'POST',
+      path: `/${API_VERSION}/exec/${encodeURIComponent(execId)}/start`,
+      headers: {
+        'Content-Type': 'application/json',
+        Connection: 'Upgrade',
+        Upgrade: 'tcp'
+      }
+    });
+
+    req.on('upgrade', (res, socket, head) => {
+      if (head.length > 0) socket.unshift(head);
+      resolve(socket);
+    });
+    req.on('response', (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let message = text;
+        try {
+          message = JSON.parse(text).message || text;
+        } catch {
+          // 非 JSON 响应直接作为错误信息
+        }
+        reject(new Error(message || `Docker API 返回 ${res.statusCode}`));
+      });
+    });
+    req.on('error', (error) => {
+      reject(new Error(`无法连接 Docker: ${error.message}`));
+    });
+    req.end(JSON.stringify({ Detach: false, Tty: true }));
+  });
+}
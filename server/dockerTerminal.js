@@ -0,0 +1,207 @@
+import fs from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { dockerRequest, startExec } from './docker.js';
+
+/**
+ * 容器终端
+ * 通过 Docker Engine API 在运行中的容器里创建 exec（相当于 docker exec -it），
+ * 并提供与 node-pty 相同的接口（onData、onExit、write、resize、pause、resume、kill）。
+ * 标签页关闭时断开 exec 连接，shell 仍未退出时结束其进程，避免在容器中留下孤儿进程。
+ * 信号通过另一个 exec 在容器内发送：Docker 报告的 PID 属于 Docker 所在的内核，
+ * 只有本机 /proc/<pid>/cgroup 属于该容器时才能换算出容器内的 PID；
+ * Docker 运行在虚拟机或远程主机上时无法确认是哪个进程，不发送信号
+ */
+
+// 未指定 shell 时优先使用 bash，没有 bash 的精简镜像退回 sh
+const AUTO_SHELL_COMMAND = ['/bin/sh', '-c', 'if command -v bash >/dev/null 2>&1; then exec bash; else exec sh; fi'];
+
+// 断开连接后等待 shell 自行退出的时间
+const EXIT_GRACE_PERIOD = 1000;
+
+export class DockerTerminal {
+  constructor(profile, { cols = 80, rows = 30 }) {
+    this.profile = profile;
+    this.cols = cols;
+    this.rows = rows;
+    this.pid = null; // exec 进程在 Docker 所在内核中的 PID，连接后获取
+    this.containerId = null;
+    this.execId = null;
+    this.socket = null;
+    this.dataListeners = [];
+    this.exitListeners = [];
+    this.paused = false;
+    this.exited = false;
+    this.decoder = new StringDecoder('utf8');
+
+    // 等会话注册完 onData/onExit 后再连接
+    setImmediate(() => this.connect());
+  }
+
+  onData(listener) {
+    this.dataListeners.push(listener);
+  }
+
+  onExit(listener) {
+    this.exitListeners.push(listener);
+  }
+
+  emitData(data) {
+    if (data) this.dataListeners.forEach(listener => listener(data));
+  }
+
+  /**
+   * 创建并启动 exec，失败时在终端中显示原因并结束会话
+   */
+  async connect() {
+    const { container, shell } = this.profile;
+    try {
+      this.emitData(`\x1b[2m正在连接容器 ${container}...\x1b[0m\r\n`);
+
+      const info = await dockerRequest('GET', `/containers/${encodeURIComponent(container)}/json`);
+      if (!info.State?.Running) {
+        throw new Error(`容器 ${container} 未在运行`);
+      }
+      this.containerId = info.Id;
+
+      const exec = await dockerRequest('POST', `/containers/${encodeURIComponent(container)}/exec`, {
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        Cmd: shell === 'auto' ? AUTO_SHELL_COMMAND : [shell],
+        Env: ['TERM=xterm-256color', 'COLORTERM=truecolor']
+      });
+      this.execId = exec.Id;
+      if (this.exited) return;
+
+      const socket = await startExec(this.execId);
+      if (this.exited) {
+        socket.destroy();
+        return;
+      }
+
+      this.socket = socket;
+      socket.on('data', data => this.emitData(this.decoder.write(data)));
+      socket.on('error', (error) => {
+        console.error(`❌ 容器 ${container} 的 exec 连接出错:`, error.message);
+      });
+      socket.on('close', () => this.handleClose());
+      if (this.paused) socket.pause();
+
+      // exec 启动后才能调整尺寸
+      this.resize(this.cols, this.rows);
+      const state = await dockerRequest('GET', `/exec/${this.execId}/json`);
+      this.pid = state.Pid || null;
+      console.log(`🐳 已连接容器 ${container}: exec ${this.execId.slice(0, 12)}`);
+    } catch (error) {
+      if (this.exited) return;
+      console.error(`❌ 连接容器 ${container} 失败:`, error.message);
+      this.emitData(`\r\n\x1b[31m连接容器失败: ${error.message}\x1b[0m\r\n`);
+      this.finish(255);
+    }
+  }
+
+  /**
+   * exec 连接关闭：shell 退出或标签页关闭。shell 仍在运行时结束其进程，然后取得退出码
+   */
+  async handleClose() {
+    let exitCode = 0;
+    try {
+      let state = await dockerRequest('GET', `/exec/${this.execId}/json`);
+      if (state.Running) {
+        await new Promise(resolve => setTimeout(resolve, EXIT_GRACE_PERIOD));
+        state = await dockerRequest('GET', `/exec/${this.execId}/json`);
+      }
+      if (state.Running && state.Pid && await this.signalExec(state.Pid, 'SIGHUP')) {
+        console.log(`🧹 已结束容器 ${this.profile.container} 中残留的 exec 进程: PID ${state.Pid}`);
+      }
+      exitCode = state.ExitCode ?? 0;
+    } catch (error) {
+      console.warn(`⚠️ 清理容器 ${this.profile.container} 的 exec 失败:`, error.message);
+    }
+    this.finish(exitCode);
+  }
+
+  write(data) {
+    this.socket?.write(data);
+  }
+
+  resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    if (!this.socket) return;
+
+    dockerRequest('POST', `/exec/${this.execId}/resize?h=${rows}&w=${cols}`).catch((error) => {
+      console.warn('⚠️ 调整容器终端尺寸失败:', error.message);
+    });
+  }
+
+  pause() {
+    this.paused = true;
+    this.socket?.pause();
+  }
+
+  resume() {
+    this.paused = false;
+    this.socket?.resume();
+  }
+
+  /**
+   * 指定信号时在容器内发送给 exec 进程（需要与 Docker 在同一内核上），否则断开连接并清理 exec
+   */
+  kill(signal) {
+    if (this.exited) return;
+    if (signal && this.pid) {
+      this.signalExec(this.pid, signal).catch((error) => {
+        console.warn(`⚠️ 向容器 ${this.profile.container} 中的进程发送 ${signal} 失败:`, error.message);
+      });
+      return;
+    }
+
+    if (this.socket) {
+      this.socket.destroy();
+    } else {
+      // 尚未启动 exec，没有 close 事件，直接结束
+      this.finish(255);
+    }
+  }
+
+  /**
+   * 在容器内向 exec 进程发送信号，无法确认进程属于该容器时返回 false
+   */
+  async signalExec(pid, signal) {
+    const containerPid = getContainerPid(pid, this.containerId);
+    if (!containerPid) {
+      console.warn(`⚠️ 无法在本机确认 PID ${pid} 属于容器 ${this.profile.container}，不发送 ${signal}`);
+      return false;
+    }
+
+    const exec = await dockerRequest('POST', `/containers/${this.containerId}/exec`, {
+      Cmd: ['/bin/sh', '-c', 'kill -s "$0" "$1"', signal.replace(/^SIG/, ''), String(containerPid)]
+    });
+    await dockerRequest('POST', `/exec/${exec.Id}/start`, { Detach: true, Tty: false });
+    return true;
+  }
+
+  finish(exitCode) {
+    if (this.exited) return;
+    this.exited = true;
+
+    this.emitData(this.decoder.end());
+    this.exitListeners.forEach(listener => listener({ exitCode, signal: undefined }));
+  }
+}
+
+// Docker 报告的 PID 在本机属于该容器时返回它在容器内的 PID（/proc/<pid>/status 的 NSpid 最后一项），否则返回 null
+function getContainerPid(pid, containerId) {
+  if (!containerId) return null;
+  try {
+    const cgroup = fs.readFileSync(`/proc/${pid}/cgroup`, 'utf8');
+    if (!cgroup.includes(containerId)) return null;
+
+    const nspid = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^NSpid:\s*(.+)$/m);
+    return nspid ? Number(nspid[1].trim().split(/\s+/).pop()) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { expandHome } from './profiles.js';
+
+/**
+ * 文件传输
+ * 经终端的 WebSocket 连接收发文件：拖放到标签页的文件上传到会话的当前工作目录，
+ * shell 中执行 xt-download 时输出 OSC 1337;XTerminalDownload=<令牌>;<base64 路径>，前端据此请求下载。
+ * 令牌随会话生成并只交给 shell 集成脚本，cat 文件等其他输出中的同样序列没有正确的令牌，不会触发下载。
+ * 文件内容以 base64 分块传输，上传每块写入后回复进度，客户端收到后再发下一块。
+ * 只支持本机终端，读写的路径（解析符号链接后）必须位于 config.yaml 的 fileTransfer.roots 之内
+ */
+
+// 下载时每块读取的字节数
+const DOWNLOAD_CHUNK_SIZE = 256 * 1024;
+// 未配置时的上传和下载大小上限（MB）
+const DEFAULT_MAX_SIZE = 100;
+// 客户端生成的传输ID
+const TRANSFER_ID_PATTERN = /^[\w-]{1,64}$/;
+// xt-download 输出的下载请求（BEL 或 ST 结尾）
+const DOWNLOAD_REQUEST_PATTERN = /\x1b\]1337;XTerminalDownload=[^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+/**
+ * 读取文件传输配置，大小上限换算为字节，未配置 roots 时只允许主目录
+ */
+export function getFileTransferSettings() {
+  const settings = loadConfig().fileTransfer || {};
+  const roots = Array.isArray(settings.roots) && settings.roots.length > 0 ? settings.roots : ['~'];
+  return {
+    enabled: settings.enabled !== false,
+    maxUploadSize: toBytes(settings.maxUploadSize),
+    maxDownloadSize: toBytes(settings.maxDownloadSize),
+    roots: roots.map(root => expandHome(String(root)))
+  };
+}
+
+/**
+ * 去掉输出中的下载请求，重新连接时回放历史输出不会再次触发下载
+ */
+export function stripDownloadRequests(output) {
+  return output.replace(DOWNLOAD_REQUEST_PATTERN, '');
+}
+
+/**
+ * 单个 WebSocket 连接上的文件传输，连接关闭时调用 dispose 清理未完成的传输
+ */
+export class FileTransferHandler {
+  constructor(ws) {
+    this.ws = ws;
+    this.uploads = new Map(); // 传输ID -> 正在写入的临时文件
+    this.downloads = new Map(); // 传输ID -> 文件读取流
+  }
+
+  /**
+   * 处理 upload-start/upload-chunk/upload-end/upload-cancel/download/download-cancel 消息，
+   * 出错时取消该传输并回复 upload-error 或 download-error
+   */
+  handle(session, data) {
+    const id = String(data.id ?? '');
+    const kind = data.type.startsWith('download') ? 'download' : 'upload';
+
+    try {
+      if (!TRANSFER_ID_PATTERN.test(id)) {
+        throw new Error('无效的传输ID');
+      }
+
+      switch (data.type) {
+        case 'upload-start':
+          this.startUpload(session, id, data);
+          break;
+        case 'upload-chunk':
+          this.writeChunk(id, data.data);
+          break;
+        case 'upload-end':
+          this.finishUpload(id);
+          break;
+        case 'upload-cancel':
+          this.cancelUpload(id);
+          break;
+        case 'download':
+          this.startDownload(session, id, data.path, data.token);
+          break;
+        case 'download-cancel':
+          this.cancelDownload(id);
+          break;
+      }
+    } catch (error) {
+      console.warn(`⚠️ 文件传输失败 (${data.type}):`, error.message);
+      if (kind === 'upload') {
+        this.cancelUpload(id);
+      } else {
+        this.cancelDownload(id);
+      }
+      this.send({ type: `${kind}-error`, id, message: error.message });
+    }
+  }
+
+  startUpload(session, id, { name, size }) {
+    const settings = checkSession(session);
+    if (this.uploads.has(id)) {
+      throw new Error('上传ID重复');
+    }
+
+    const fileName = sanitizeFileName(name);
+    if (!Number.isSafeInteger(size) || size < 0) {
+      throw new Error('无效的文件大小');
+    }
+    if (size > settings.maxUploadSize) {
+      throw new Error(`${fileName} 超过上传大小限制 ${formatSize(settings.maxUploadSize)}`);
+    }
+
+    // 先写入隐藏的临时文件，完整接收后再改名，中断时不留下残缺的文件
+    const dir = resolveInRoots(session.getCwd(), settings.roots);
+    const tempPath = path.join(dir, `.${fileName}.${crypto.randomBytes(4).toString('hex')}.part`);
+    const fd = fs.openSync(tempPath, 'wx');
+
+    this.uploads.set(id, { fd, tempPath, dir, fileName, size, received: 0 });
+    console.log(`📤 开始上传 ${fileName} (${formatSize(size)}) 到 ${dir}`);
+    this.send({ type: 'upload-ready', id });
+  }
+
+  writeChunk(id, data) {
+    const upload = this.getUpload(id);
+    const chunk = Buffer.from(String(data ?? ''), 'base64');
+    if (upload.received + chunk.length > upload.size) {
+      throw new Error('收到的数据超过文件大小');
+    }
+
+    fs.writeSync(upload.fd, chunk);
+    upload.received += chunk.length;
+    this.send({ type: 'upload-progress', id, received: upload.received });
+  }
+
+  finishUpload(id) {
+    const upload = this.getUpload(id);
+    if (upload.received !== upload.size) {
+      throw new Error(`上传不完整: 收到 ${upload.received} / ${upload.size} 字节`);
+    }
+
+    fs.closeSync(upload.fd);
+    upload.fd = null;
+
+    // 不覆盖已有文件，重名时追加序号
+    const target = uniquePath(upload.dir, upload.fileName);
+    fs.renameSync(upload.tempPath, target);
+    this.uploads.delete(id);
+
+    console.log(`✅ 上传完成: ${target}`);
+    this.send({ type: 'upload-done', id, path: target });
+  }
+
+  cancelUpload(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) return;
+
+    this.uploads.delete(id);
+    try {
+      if (upload.fd !== null) fs.closeSync(upload.fd);
+      fs.rmSync(upload.tempPath, { force: true });
+    } catch (error) {
+      console.warn(`⚠️ 清理上传的临时文件失败: ${upload.tempPath}`, error.message);
+    }
+  }
+
+  getUpload(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) {
+      throw new Error('上传不存在或已结束');
+    }
+    return upload;
+  }
+
+  startDownload(session, id, filePath, token) {
+    const settings = checkSession(session);
+    if (!isValidToken(token, session.downloadToken)) {
+      throw new Error('下载请求不是由 xt-download 发出的，已忽略');
+    }
+    if (this.downloads.has(id)) {
+      throw new Error('下载ID重复');
+    }
+    if (typeof filePath !== 'string' || !filePath) {
+      throw new Error('未指定要下载的文件');
+    }
+
+    // 相对路径按会话的当前工作目录解析
+    const resolved = resolveInRoots(path.resolve(session.getCwd(), filePath), settings.roots);
+    const stat = fs.statSync(resolved);
+    if (!stat.isFile()) {
+      throw new Error(`${filePath} 不是普通文件`);
+    }
+    if (stat.size > settings.maxDownloadSize) {
+      throw new Error(`${path.basename(resolved)} 超过下载大小限制 ${formatSize(settings.maxDownloadSize)}`);
+    }
+
+    const stream = fs.createReadStream(resolved, { highWaterMark: DOWNLOAD_CHUNK_SIZE });
+    this.downloads.set(id, stream);
+    console.log(`📥 开始下载 ${resolved} (${formatSize(stat.size)})`);
+    this.send({ type: 'download-start', id, name: path.basename(resolved), size: stat.size });
+
+    // 每块写入连接后再读取下一块，避免大文件堆积在发送缓冲区
+    stream.on('data', (chunk) => {
+      stream.pause();
+      this.send({ type: 'download-chunk', id, data: chunk.toString('base64') }, () => stream.resume());
+    });
+    stream.on('end', () => {
+      this.downloads.delete(id);
+      this.send({ type: 'download-end', id });
+    });
+    stream.on('error', (error) => {
+      this.downloads.delete(id);
+      this.send({ type: 'download-error', id, message: `读取文件失败: ${error.message}` });
+    });
+  }
+
+  cancelDownload(id) {
+    this.downloads.get(id)?.destroy();
+    this.downloads.delete(id);
+  }
+
+  /**
+   * 连接关闭：删除未完成上传的临时文件，停止读取下载中的文件
+   */
+  dispose() {
+    [...this.uploads.keys()].forEach(id => this.cancelUpload(id));
+    [...this.downloads.keys()].forEach(id => this.cancelDownload(id));
+  }
+
+  send(message, callback) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message), callback);
+    }
+  }
+}
+
+// 检查会话能否传输文件，返回当前配置
+function checkSession(session) {
+  const settings = getFileTransferSettings();
+  if (!settings.enabled) {
+    throw new Error('文件传输已在 config.yaml 中关闭');
+  }
+  if (session.profile.type) {
+    throw new Error('文件传输只支持本机终端');
+  }
+  return settings;
+}
+
+// 以固定时间比较下载令牌
+function isValidToken(token, expected) {
+  if (typeof token !== 'string' || !expected) return false;
+  const actual = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+}
+
+/**
+ * 解析符号链接后的真实路径，不在任何允许目录之内时拒绝
+ */
+function resolveInRoots(target, roots) {
+  let realPath;
+  try {
+    realPath = fs.realpathSync(target);
+  } catch {
+    throw new Error(`路径不存在: ${target}`);
+  }
+
+  const allowed = roots.some((root) => {
+    let realRoot;
+    try {
+      realRoot = fs.realpathSync(root);
+    } catch {
+      return false;
+    }
+    const relative = path.relative(realRoot, realPath);
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+  });
+  if (!allowed) {
+    throw new Error(`路径不在允许传输的目录内: ${realPath}`);
+  }
+  return realPath;
+}
+
+// 上传的文件名只保留最后一段，拒绝 . 和 .. 以及控制字符
+function sanitizeFileName(name) {
+  const fileName = path.basename(String(name ?? '').replace(/\\/g, '/'));
+  if (!fileName || fileName === '.' || fileName === '..' || /[\x00-\x1f\x7f]/.test(fileName) || Buffer.byteLength(fileName) > 255) {
+    throw new Error(`无效的文件名: ${name}`);
+  }
+  return fileName;
+}
+
+// 文件已存在时改为 name (1).ext、name (2).ext ...
+function uniquePath(dir, fileName) {
+  const { name, ext } = path.parse(fileName);
+  let candidate = path.join(dir, fileName);
+  for (let index = 1; exists(candidate); index++) {
+    candidate = path.join(dir, `${name} (${index})${ext}`);
+  }
+  return candidate;
+}
+
+// 包括指向不存在目标的符号链接
+function exists(filePath) {
+  try {
+    fs.lstatSync(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toBytes(megabytes) {
+  const value = Number(megabytes);
+  return (Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_SIZE) * 1024 * 1024;
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024 * 10) / 10} KB`;
+  return `${bytes} B`;
+}
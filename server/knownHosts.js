@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from './config.js';
+
+/**
+ * SSH 主机密钥校验
+ * 使用 OpenSSH 格式的 known_hosts 文件（默认 ~/.ssh/known_hosts，可由 config.yaml 的
+ * ssh.knownHostsFile 指定），支持明文和哈希形式的主机名；通配符和 @cert-authority 条目不参与匹配
+ */
+
+function getKnownHostsPath() {
+  const configured = loadConfig().ssh?.knownHostsFile;
+  if (!configured) {
+    return path.join(os.homedir(), '.ssh', 'known_hosts');
+  }
+  const file = String(configured);
+  return file.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : path.resolve(file);
+}
+
+/**
+ * 解析服务端发来的公钥，返回算法、Base64 编码和 SHA256 指纹（与 ssh-keygen -l 的格式一致）
+ */
+export function parseHostKey(key) {
+  const algorithm = key.subarray(4, 4 + key.readUInt32BE(0)).toString('ascii');
+  const fingerprint = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+  return {
+    algorithm,
+    key: key.toString('base64'),
+    fingerprint: `SHA256:${fingerprint}`
+  };
+}
+
+/**
+ * 在 known_hosts 中查找主机密钥：known 为已知，changed 为同类型的密钥与记录不符，unknown 为未记录
+ */
+export function checkHostKey(host, port, hostKey) {
+  const name = formatHostName(host, port);
+  let status = 'unknown';
+
+  readKnownHosts().forEach(({ patterns, algorithm, key }) => {
+    if (status === 'known' || !patterns.some(pattern => matchHostPattern(pattern, name))) return;
+
+    if (algorithm === hostKey.algorithm && key === hostKey.key) {
+      status = 'known';
+    } else if (algorithm === hostKey.algorithm) {
+      status = 'changed';
+    }
+  });
+  return status;
+}
+
+/**
+ * 把用户确认过的主机密钥追加到 known_hosts
+ */
+export function rememberHostKey(host, port, hostKey) {
+  const file = getKnownHostsPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+
+  // 文件末尾没有换行时先补上，避免与上一条记录连在一起
+  let prefix = '';
+  if (fs.existsSync(file)) {
+    const content = fs.readFileSync(file, 'utf8');
+    prefix = content && !content.endsWith('\n') ? '\n' : '';
+  }
+  fs.appendFileSync(file, `${prefix}${formatHostName(host, port)} ${hostKey.algorithm} ${hostKey.key}\n`, { mode: 0o600 });
+  console.log(`🔑 已记录 ${formatHostName(host, port)} 的主机密钥: ${file}`);
+}
+
+/**
+ * known_hosts 中的主机名写法：22 端口只写主机名，其他端口写作 [host]:port
+ */
+function formatHostName(host, port) {
+  return port === 22 ? host : `[${host}]:${port}`;
+}
+
+function readKnownHosts() {
+  const file = getKnownHostsPath();
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('@'))
+    .map(line => {
+      const [patterns, algorithm, key] = line.split(/\s+/);
+      return { patterns: patterns.split(','), algorithm, key };
+    })
+    .filter(entry => entry.algorithm && entry.key);
+}
+
+// 哈希形式为 |1|<salt>|<HMAC-SHA1(salt, 主机名)>
+function matchHostPattern(pattern, name) {
+  if (pattern.startsWith('|1|')) {
+    const [, , salt, hash] = pattern.split('|');
+    if (!salt || !hash) return false;
+    return crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64') === hash;
+  }
+  return pattern === name;
+}
@@ -0,0 +1,115 @@
+import { loadConfig } from './config.js';
+
+/**
+ * 终端服务器资源限制
+ * 来自 config.yaml 的 limits 部分，未配置的项使用默认值，设为 0 表示不限制
+ */
+
+const DEFAULT_LIMITS = {
+  maxSessions: 50, // 全局会话数上限
+  maxSessionsPerUser: 20, // 每个用户的会话数上限
+  idleTimeout: 0, // 无输入输出多少秒后结束会话
+  idleWarning: 60, // 结束前多少秒发出提醒
+  maxOutputRate: 2 * 1024 * 1024, // 每个会话每秒最多输出的字节数
+  rlimits: {
+    memory: 0, // 每个进程的虚拟内存上限（MB）
+    cpu: 0 // 每个进程的 CPU 时间上限（秒）
+  }
+};
+
+/**
+ * 读取当前的限制配置
+ */
+export function getLimits() {
+  const configured = loadConfig().limits || {};
+  return {
+    ...DEFAULT_LIMITS,
+    ...configured,
+    rlimits: { ...DEFAULT_LIMITS.rlimits, ...configured.rlimits }
+  };
+}
+
+/**
+ * 检查能否再创建会话，超出限制时返回错误说明，否则返回 null
+ */
+export function checkSessionQuota(sessions, user, limits = getLimits()) {
+  if (limits.maxSessions > 0 && sessions.length >= limits.maxSessions) {
+    return `会话数已达服务器上限 (${limits.maxSessions})，请先关闭不用的终端`;
+  }
+
+  const owned = sessions.filter(session => session.user === user).length;
+  if (limits.maxSessionsPerUser > 0 && owned >= limits.maxSessionsPerUser) {
+    return `会话数已达每个用户的上限 (${limits.maxSessionsPerUser})，请先关闭不用的终端`;
+  }
+
+  return null;
+}
+
+/**
+ * 为启动命令加上 rlimit：通过 sh 设置 ulimit 后 exec 目标程序，
+ * 限制对会话中的每个进程分别生效。ulimit 失败时不启动程序
+ */
+export function applyResourceLimits(command, args, rlimits = getLimits().rlimits) {
+  const settings = [];
+  if (rlimits.memory > 0) {
+    settings.push(`ulimit -v ${Math.floor(rlimits.memory * 1024)}`);
+  }
+  if (rlimits.cpu > 0) {
+    settings.push(`ulimit -t ${Math.floor(rlimits.cpu)}`);
+  }
+
+  if (settings.length === 0 || process.platform === 'win32') {
+    return { command, args };
+  }
+
+  return {
+    command: '/bin/sh',
+    args: ['-c', `${settings.join(' && ')} && exec "$0" "$@"`, command, ...args]
+  };
+}
+
+/**
+ * 输出限速：按一秒的窗口统计输出字节数，超出上限时暂停读取 PTY 到窗口结束，
+ * 产生输出的进程会因写满缓冲区而阻塞，而不是丢弃输出
+ */
+export class OutputRateLimiter {
+  constructor(session, bytesPerSecond, onThrottle) {
+    this.session = session;
+    this.limit = bytesPerSecond;
+    this.onThrottle = onThrottle;
+    this.windowStart = Date.now();
+    this.bytes = 0;
+    this.timer = null;
+  }
+
+  /**
+   * 记录一段输出
+   */
+  record(bytes) {
+    if (!(this.limit > 0) || this.timer) return;
+
+    const now = Date.now();
+    if (now - this.windowStart >= 1000) {
+      this.windowStart = now;
+      this.bytes = 0;
+    }
+
+    this.bytes += bytes;
+    if (this.bytes <= this.limit) return;
+
+    this.session.pauseOutput('rate-limit');
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.windowStart = Date.now();
+      this.bytes = 0;
+      this.session.resumeOutput('rate-limit');
+    }, Math.max(0, 1000 - (now - this.windowStart)));
+
+    this.onThrottle();
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,203 @@
+import { createServer } from 'http';
+
+/**
+ * 本地 AI 模拟服务，用于在没有真实模型时测试各个 AI 服务适配器
+ * 同一端口同时模拟 Ollama、OpenAI 兼容接口、Anthropic Messages、Gemini 和 llama.cpp：
+ *
+ *   ollama     host:    http://localhost:11500
+ *   openai     baseUrl: http://localhost:11500/v1
+ *   anthropic  baseUrl: http://localhost:11500
+ *   gemini     baseUrl: http://localhost:11500/v1beta
+ *   llamacpp   baseUrl: http://localhost:11500/v1
+ *
+ * 回复内容为对最后一条用户消息的回显；令牌为 "invalid" 时返回 401，便于测试错误处理
+ */
+
+const PORT = parseInt(process.env.MOCK_AI_PORT, 10) || 11500;
+
+const MODELS = ['mock-small', 'mock-large'];
+
+// 流式回复时每段之间的间隔
+const STREAM_DELAY = 20;
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  // 浏览器直接调用时需要跨域
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const token = req.headers['x-api-key']
+    || req.headers['x-goog-api-key']
+    || (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (token === 'invalid') {
+    sendJson(res, 401, { error: { message: 'Invalid API key' } });
+    return;
+  }
+
+  try {
+    const body = req.method === 'POST' ? await readJson(req) : {};
+    const route = `${req.method} ${url.pathname}`;
+    console.log(`🤖 ${route}`);
+
+    const gemini = url.pathname.match(/^\/v1beta\/models\/([^:]+):(generateContent|streamGenerateContent|countTokens)$/);
+    if (gemini) {
+      handleGemini(res, gemini[2], body);
+      return;
+    }
+
+    switch (route) {
+      // Ollama
+      case 'GET /api/tags':
+        sendJson(res, 200, {
+          models: MODELS.map(name => ({ name, size: 2 * 1024 * 1024 * 1024, digest: name, details: { format: 'gguf' } }))
+        });
+        return;
+
+      case 'POST /api/chat': {
+        const reply = createReply(body.messages);
+        if (!body.stream) {
+          sendJson(res, 200, { model: body.model, message: { role: 'assistant', content: reply }, done: true });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        await streamChunks(res, reply, chunk => `${JSON.stringify({ message: { role: 'assistant', content: chunk }, done: false })}\n`);
+        res.end(`${JSON.stringify({ message: { role: 'assistant', content: '' }, done: true })}\n`);
+        return;
+      }
+
+      // OpenAI 兼容接口与 Anthropic 共用模型列表路径，返回两者字段的并集
+      case 'GET /v1/models':
+        sendJson(res, 200, {
+          object: 'list',
+          data: MODELS.map(id => ({ id, object: 'model', type: 'model', display_name: id }))
+        });
+        return;
+
+      case 'POST /v1/chat/completions': {
+        const reply = createReply(body.messages);
+        if (!body.stream) {
+          sendJson(res, 200, { choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }] });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        await streamChunks(res, reply, chunk => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: chunk } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      // Anthropic Messages
+      case 'POST /v1/messages': {
+        const reply = createReply(body.messages);
+        if (!body.stream) {
+          sendJson(res, 200, { type: 'message', role: 'assistant', content: [{ type: 'text', text: reply }], stop_reason: 'end_turn' });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`event: message_start\ndata: ${JSON.stringify({ type: 'message_start', message: { role: 'assistant', content: [] } })}\n\n`);
+        await streamChunks(res, reply, chunk =>
+          `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } })}\n\n`);
+        res.end(`event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`);
+        return;
+      }
+
+      case 'POST /v1/messages/count_tokens':
+        sendJson(res, 200, { input_tokens: countWords([body.system, ...(body.messages || []).map(m => m.content)]) });
+        return;
+
+      // Gemini 模型列表
+      case 'GET /v1beta/models':
+        sendJson(res, 200, {
+          models: MODELS.map(id => ({ name: `models/${id}`, displayName: id, supportedGenerationMethods: ['generateContent', 'countTokens'] }))
+        });
+        return;
+
+      // llama.cpp 分词接口
+      case 'POST /tokenize':
+        sendJson(res, 200, { tokens: Array.from({ length: countWords([body.content]) }, (_, i) => i) });
+        return;
+
+      default:
+        sendJson(res, 404, { error: { message: `Not found: ${route}` } });
+    }
+  } catch (error) {
+    console.error('❌ 模拟服务出错:', error);
+    sendJson(res, 400, { error: { message: error.message } });
+  }
+});
+
+async function handleGemini(res, method, body) {
+  const toMessages = (contents = []) => contents.map(content => ({
+    role: content.role,
+    content: (content.parts || []).map(part => part.text).join('')
+  }));
+
+  if (method === 'countTokens') {
+    const request = body.generateContentRequest || body;
+    const system = request.systemInstruction?.parts?.map(part => part.text).join('');
+    sendJson(res, 200, { totalTokens: countWords([system, ...toMessages(request.contents).map(m => m.content)]) });
+    return;
+  }
+
+  const reply = createReply(toMessages(body.contents));
+  const candidate = text => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+  if (method === 'generateContent') {
+    sendJson(res, 200, candidate(reply));
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  await streamChunks(res, reply, chunk => `data: ${JSON.stringify(candidate(chunk))}\r\n\r\n`);
+  res.end();
+}
+
+// 回显最后一条用户消息，并附带一条命令以便测试命令插入
+function createReply(messages = []) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  const text = typeof last?.content === 'string' ? last.content : JSON.stringify(last?.content ?? '');
+  return `Mock reply to: ${text.split('\n')[0].slice(0, 200)}\n\`\`\`ls -la\`\`\` : Lists files in the current directory`;
+}
+
+// 按空格分段发送，模拟逐词生成
+async function streamChunks(res, text, format) {
+  const chunks = text.match(/\S+\s*|\s+/g) || [];
+  for (const chunk of chunks) {
+    res.write(format(chunk));
+    await new Promise(resolve => setTimeout(resolve, STREAM_DELAY));
+  }
+}
+
+function countWords(texts) {
+  return texts.filter(Boolean).join(' ').split(/\s+/).filter(Boolean).length;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+server.listen(PORT, () => {
+  console.log(`🤖 AI 模拟服务启动在端口 ${PORT}`);
+});
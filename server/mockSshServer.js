@@ -0,0 +1,127 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import * as pty from 'node-pty';
+import ssh2 from 'ssh2';
+
+const { Server, utils } = ssh2;
+
+/**
+ * 本地 SSH 测试服务，用于在没有 sshd 的环境中测试 SSH 标签页
+ * 登录后在本机启动 shell；支持密码和键盘交互认证、终端尺寸调整、信号，
+ * 以及端口转发（direct-tcpip），可以把它同时当作跳板机测试 jumpHost：
+ *
+ *   profiles:
+ *     ssh-local: { type: ssh, host: localhost, port: 2222, user: test }
+ *     ssh-jump:  { type: ssh, host: localhost, port: 2222, user: test, jumpHost: ssh-local }
+ *
+ * 用户名和密码默认为 test/test，可由 MOCK_SSH_USER、MOCK_SSH_PASSWORD 修改。
+ * 主机密钥首次启动时生成并保存在临时目录，重启后保持不变
+ */
+
+const PORT = parseInt(process.env.MOCK_SSH_PORT, 10) || 2222;
+const USER = process.env.MOCK_SSH_USER || 'test';
+const PASSWORD = process.env.MOCK_SSH_PASSWORD || 'test';
+
+const hostKeyPath = path.join(os.tmpdir(), 'web-terminal-mock-ssh-host-key');
+
+function loadHostKey() {
+  if (!fs.existsSync(hostKeyPath)) {
+    const { private: privateKey } = utils.generateKeyPairSync('ed25519');
+    fs.writeFileSync(hostKeyPath, privateKey, { mode: 0o600 });
+  }
+  return fs.readFileSync(hostKeyPath);
+}
+
+const server = new Server({ hostKeys: [loadHostKey()] }, (client, info) => {
+  console.log(`🔗 新的 SSH 连接: ${info.ip}`);
+
+  client.on('authentication', (ctx) => {
+    if (ctx.username !== USER) {
+      ctx.reject(['password', 'keyboard-interactive']);
+      return;
+    }
+
+    switch (ctx.method) {
+      case 'password':
+        if (ctx.password === PASSWORD) ctx.accept();
+        else ctx.reject(['password', 'keyboard-interactive']);
+        return;
+
+      case 'keyboard-interactive':
+        ctx.prompt([{ prompt: 'Password: ', echo: false }], 'Mock SSH login', (answers) => {
+          if (answers[0] === PASSWORD) ctx.accept();
+          else ctx.reject(['password', 'keyboard-interactive']);
+        });
+        return;
+
+      default:
+        ctx.reject(['password', 'keyboard-interactive']);
+    }
+  });
+
+  client.on('ready', () => {
+    console.log(`✅ 用户 ${USER} 已登录`);
+    client.on('session', (accept) => handleSession(accept()));
+
+    // 作为跳板机时转发到目标地址
+    client.on('tcpip', (accept, reject, { destIP, destPort }) => {
+      const socket = net.connect(destPort, destIP);
+      socket.once('connect', () => {
+        console.log(`↔️ 转发到 ${destIP}:${destPort}`);
+        const channel = accept();
+        channel.pipe(socket).pipe(channel);
+        channel.on('close', () => socket.destroy());
+      });
+      socket.once('error', () => reject());
+    });
+  });
+
+  client.on('error', (error) => {
+    console.error('❌ SSH 连接出错:', error.message);
+  });
+});
+
+function handleSession(session) {
+  let size = { cols: 80, rows: 24, term: 'xterm-256color' };
+  let shell = null;
+
+  session.on('pty', (accept, reject, info) => {
+    size = { cols: info.cols, rows: info.rows, term: info.term };
+    accept?.();
+  });
+
+  session.on('window-change', (accept, reject, info) => {
+    shell?.resize(info.cols, info.rows);
+    accept?.();
+  });
+
+  session.on('signal', (accept, reject, info) => {
+    shell?.kill(`SIG${info.name}`);
+    accept?.();
+  });
+
+  session.on('shell', (accept) => {
+    const stream = accept();
+    shell = pty.spawn(process.env.SHELL || '/bin/bash', [], {
+      name: size.term,
+      cols: size.cols,
+      rows: size.rows,
+      cwd: os.homedir(),
+      env: { ...process.env, TERM: size.term }
+    });
+
+    shell.onData(data => stream.write(data));
+    stream.on('data', data => shell.write(data.toString()));
+    shell.onExit(({ exitCode }) => {
+      stream.exit(exitCode);
+      stream.end();
+    });
+    stream.on('close', () => shell.kill());
+  });
+}
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`🔐 SSH 测试服务启动在端口 ${PORT}（用户 ${USER}）`);
+});
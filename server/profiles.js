@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { isDockerAvailable } from './docker.js';
+
+/**
+ * 终端启动配置
+ * config.yaml 的 profiles 段按ID定义可启动的命令、参数、工作目录和环境变量，
+ * 客户端只能通过ID选择，不能指定任意命令。
+ * type: ssh 的配置为 SSH 主机（host、port、user、key、jumpHost），由服务端建立连接；
+ * docker:<容器>[:<shell>] 形式的ID表示在运行中的容器里打开 shell
+ */
+
+// 跳板机嵌套的最大层数
+const MAX_JUMP_DEPTH = 5;
+
+// 容器名称或ID，以及容器内 shell 的绝对路径
+const CONTAINER_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const CONTAINER_SHELL_PATTERN = /^\/[\w./+-]+$/;
+
+/**
+ * 默认配置：根据操作系统选择shell
+ */
+export function getDefaultProfile(cwd = process.cwd()) {
+  return {
+    id: 'default',
+    name: 'Default Shell',
+    command: os.platform() === 'win32' ? 'powershell.exe' : process.env.SHELL || '/bin/bash',
+    args: [],
+    cwd,
+    env: {},
+    shellIntegration: true
+  };
+}
+
+/**
+ * 根据ID解析启动配置，未指定ID时返回默认配置。
+ * cwd 为新标签页沿用的目录，只用于未配置 cwd 的本机配置，目录不存在时忽略
+ */
+export function resolveProfile(id, { cwd: inheritedCwd } = {}) {
+  const startCwd = isDirectory(inheritedCwd) ? inheritedCwd : process.cwd();
+
+  if (!id || id === 'default') {
+    return getDefaultProfile(startCwd);
+  }
+  if (id.startsWith('docker:')) {
+    return resolveDockerProfile(id);
+  }
+
+  const profiles = loadConfig().profiles || {};
+  const profile = profiles[id];
+  if (!profile) {
+    throw new Error(`未知的终端配置: ${id}`);
+  }
+  if (profile.type === 'ssh') {
+    return resolveSshProfile(id, profiles);
+  }
+  if (!profile.command) {
+    throw new Error(`终端配置缺少 command: ${id}`);
+  }
+
+  const cwd = profile.cwd ? expandHome(String(profile.cwd)) : startCwd;
+  if (!fs.existsSync(cwd)) {
+    throw new Error(`工作目录不存在: ${cwd}`);
+  }
+
+  // node-pty 只接受字符串类型的环境变量
+  const env = {};
+  Object.entries(profile.env || {}).forEach(([key, value]) => {
+    env[key] = String(value);
+  });
+
+  return {
+    id,
+    name: profile.name || id,
+    command: expandHome(String(profile.command)),
+    args: (profile.args || []).map(String),
+    cwd,
+    env,
+    shellIntegration: profile.shellIntegration !== false
+  };
+}
+
+/**
+ * 解析 SSH 主机配置，jumpHost 为另一个 SSH 配置的ID，可以多级嵌套
+ */
+function resolveSshProfile(id, profiles, chain = []) {
+  const profile = profiles[id];
+  if (!profile || profile.type !== 'ssh') {
+    throw new Error(`跳板机 ${id} 不是 SSH 配置`);
+  }
+  if (chain.includes(id) || chain.length >= MAX_JUMP_DEPTH) {
+    throw new Error(`跳板机配置存在循环或层数过多: ${[...chain, id].join(' -> ')}`);
+  }
+  if (!profile.host) {
+    throw new Error(`SSH 配置缺少 host: ${id}`);
+  }
+
+  const port = parseInt(profile.port, 10) || 22;
+  const user = String(profile.user || os.userInfo().username);
+  const key = profile.key ? expandHome(String(profile.key)) : null;
+  if (key && !fs.existsSync(key)) {
+    throw new Error(`SSH 私钥不存在: ${key}`);
+  }
+
+  return {
+    id,
+    name: profile.name || id,
+    type: 'ssh',
+    // 用于日志、会话列表和录制标题
+    command: `ssh ${user}@${profile.host}${port === 22 ? '' : `:${port}`}`,
+    args: [],
+    cwd: null,
+    env: {},
+    shellIntegration: false,
+    host: String(profile.host),
+    port,
+    user,
+    key,
+    jumpHost: profile.jumpHost ? resolveSshProfile(String(profile.jumpHost), profiles, [...chain, id]) : null
+  };
+}
+
+/**
+ * 解析容器配置ID：docker:<容器名称或ID>[:<shell 路径>]，未指定 shell 时自动选择
+ */
+function resolveDockerProfile(id) {
+  if (!isDockerAvailable()) {
+    throw new Error('Docker 不可用：未找到 Docker socket 或已在 config.yaml 中关闭');
+  }
+
+  const [, container, shell = 'auto'] = id.match(/^docker:([^:]+)(?::(.+))?$/) || [];
+  if (!container || !CONTAINER_PATTERN.test(container)) {
+    throw new Error(`无效的容器名称: ${id}`);
+  }
+  if (shell !== 'auto' && !CONTAINER_SHELL_PATTERN.test(shell)) {
+    throw new Error(`无效的 shell 路径: ${shell}`);
+  }
+
+  return {
+    id,
+    name: shell === 'auto' ? container : `${container} (${path.basename(shell)})`,
+    type: 'docker',
+    // 用于日志、会话列表和录制标题
+    command: `docker exec -it ${container} ${shell === 'auto' ? 'sh' : shell}`,
+    args: [],
+    cwd: null,
+    env: {},
+    shellIntegration: false,
+    container,
+    shell
+  };
+}
+
+function isDirectory(dir) {
+  if (typeof dir !== 'string' || !path.isAbsolute(dir)) return false;
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// 展开路径开头的 ~
+export function expandHome(value) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return value;
+}
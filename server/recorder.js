@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { loadConfig } from './config.js';
+
+/**
+ * 终端会话录制（asciinema v2 格式）
+ * 第一行为头部JSON，之后每行一个事件 [相对秒数, 类型, 数据]，
+ * 类型 "o" 为终端输出，"r" 为尺寸变化（"COLSxROWS"）
+ */
+
+// 录制文件名只允许这些字符，防止路径穿越
+const RECORDING_NAME_PATTERN = /^[\w.-]+\.cast$/;
+
+// 头部记录了会话创建者，只有创建者能查看；没有记录的旧录制视为未启用登录时的用户
+const DEFAULT_OWNER = 'local';
+
+/**
+ * 录制文件目录，来自 config.yaml 的 recording.directory
+ */
+export function getRecordingsDir() {
+  return path.resolve(process.cwd(), loadConfig().recording?.directory || 'recordings');
+}
+
+/**
+ * 是否默认录制所有新会话
+ */
+export function isRecordingEnabled() {
+  return Boolean(loadConfig().recording?.enabled);
+}
+
+/**
+ * 列出用户自己会话的录制文件，按时间倒序
+ */
+export function listRecordings(user) {
+  const dir = getRecordingsDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => RECORDING_NAME_PATTERN.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(dir, name));
+      return {
+        name,
+        size: stat.size,
+        modified: stat.mtime.toISOString(),
+        ...readHeader(path.join(dir, name))
+      };
+    })
+    .filter(recording => recording.user === user)
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * 将录制文件名解析为绝对路径，文件名不合法、不存在或不属于该用户时返回 null
+ */
+export function resolveRecordingPath(name, user) {
+  if (!RECORDING_NAME_PATTERN.test(name)) return null;
+
+  const filePath = path.join(getRecordingsDir(), name);
+  if (!fs.existsSync(filePath)) return null;
+  return readHeader(filePath).user === user ? filePath : null;
+}
+
+/**
+ * 单个会话的录制器
+ */
+export class SessionRecorder {
+  constructor(session, cols, rows) {
+    const dir = getRecordingsDir();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const startedAt = new Date();
+    this.fileName = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${session.id}.cast`;
+    this.startTime = performance.now();
+
+    this.stream = fs.createWriteStream(path.join(dir, this.fileName), { flags: 'wx' });
+    this.stream.on('error', (error) => {
+      console.error(`❌ 写入录制文件失败: ${this.fileName}`, error);
+    });
+
+    this.writeLine({
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(startedAt.getTime() / 1000),
+      title: session.profile.name,
+      user: session.user,
+      env: {
+        SHELL: session.shell,
+        TERM: 'xterm-256color'
+      }
+    });
+
+    console.log(`⏺️ 开始录制终端会话: ${session.id} -> ${this.fileName}`);
+  }
+
+  /**
+   * 记录终端输出
+   */
+  output(data) {
+    this.writeLine([this.elapsed(), 'o', data]);
+  }
+
+  /**
+   * 记录终端尺寸变化
+   */
+  resize(cols, rows) {
+    this.writeLine([this.elapsed(), 'r', `${cols}x${rows}`]);
+  }
+
+  /**
+   * 结束录制
+   */
+  close() {
+    this.stream.end();
+    console.log(`⏹️ 录制结束: ${this.fileName}`);
+  }
+
+  elapsed() {
+    return Number(((performance.now() - this.startTime) / 1000).toFixed(6));
+  }
+
+  writeLine(value) {
+    this.stream.write(JSON.stringify(value) + '\n');
+  }
+}
+
+// 读取录制文件头部的标题、尺寸与会话创建者
+function readHeader(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const header = JSON.parse(buffer.toString('utf8', 0, bytesRead).split('\n')[0]);
+    return {
+      title: header.title || '',
+      width: header.width,
+      height: header.height,
+      timestamp: header.timestamp,
+      user: header.user || DEFAULT_OWNER
+    };
+  } catch {
+    return {};
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
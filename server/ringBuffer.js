@@ -0,0 +1,77 @@
+/**
+ * 环形输出缓冲区
+ * 按字节上限保留终端最近的输出，用于客户端重新连接时回放。
+ * 输出按写入以来的字节偏移量定位，客户端据此只补收断线期间错过的部分。
+ * 各段输出以 Buffer 保存，按字节截断和回放时不必重新编码全部历史
+ */
+export class RingBuffer {
+  constructor(maxBytes = 256 * 1024) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.size = 0;
+    this.end = 0; // 写入以来的总字节数，即缓冲区末尾的偏移量
+  }
+
+  /**
+   * 缓冲区内最早一个字节的偏移量
+   */
+  get start() {
+    return this.end - this.size;
+  }
+
+  /**
+   * 追加一段输出，超出上限时从头部丢弃旧数据
+   */
+  push(data) {
+    let chunk = Buffer.from(data);
+    this.end += chunk.length;
+
+    // 单段输出本身就超过上限时只保留尾部，从下一个完整的 UTF-8 字符开始
+    if (chunk.length > this.maxBytes) {
+      let start = chunk.length - this.maxBytes;
+      while (start < chunk.length && (chunk[start] & 0xc0) === 0x80) {
+        start++;
+      }
+      chunk = chunk.subarray(start);
+    }
+
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+
+    while (this.size > this.maxBytes && this.chunks.length > 1) {
+      const removed = this.chunks.shift();
+      this.size -= removed.length;
+    }
+  }
+
+  /**
+   * 获取缓冲区内的全部输出
+   */
+  toString() {
+    return Buffer.concat(this.chunks, this.size).toString();
+  }
+
+  /**
+   * 获取偏移量 from 到 to 之间的输出，超出缓冲区的部分忽略；只拼接与该范围重叠的输出段
+   */
+  slice(from, to = this.end) {
+    const parts = [];
+    let offset = this.start;
+    for (const chunk of this.chunks) {
+      const chunkEnd = offset + chunk.length;
+      if (chunkEnd > from && offset < to) {
+        parts.push(chunk.subarray(Math.max(from - offset, 0), Math.min(to, chunkEnd) - offset));
+      }
+      offset = chunkEnd;
+    }
+    return Buffer.concat(parts).toString();
+  }
+
+  /**
+   * 清空缓冲区
+   */
+  clear() {
+    this.chunks = [];
+    this.size = 0;
+  }
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getSecretReference } from '../src/services/aiSettings.js';
+import { loadConfig } from './config.js';
+
+/**
+ * API 令牌的加密存储
+ * 令牌以 AES-256-GCM 加密后写入配置文件，格式为 enc:v1:<iv>.<tag>.<密文>（base64url）
+ * 密钥由口令派生：口令取自 AI_SECRET_KEY 环境变量，未设置时读取口令文件
+ * （AI_SECRET_KEY_FILE，默认 .ai-secret-key，不存在时自动生成）。
+ * 口令文件与配置放在一起时只能防止配置文件单独泄露，需要更强保护时请用环境变量提供口令
+ * 配置中也可以写 ${ENV_VAR} 引用环境变量，不保存令牌本身
+ */
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// 无需列入 config.yaml 即可从设置中引用的环境变量名
+const ALLOWED_REFERENCE_PATTERN = /_API_(KEY|TOKEN)$/;
+
+// 固定盐值：口令文件本身是随机生成的，环境变量口令由部署者负责强度
+const KEY_SALT = 'web-terminal:ai-secrets';
+
+let cachedKey = null;
+
+function getKeyFilePath() {
+  return process.env.AI_SECRET_KEY_FILE || path.join(process.cwd(), '.ai-secret-key');
+}
+
+/**
+ * 获取加密密钥
+ */
+function getSecretKey() {
+  if (cachedKey) return cachedKey;
+
+  let passphrase = process.env.AI_SECRET_KEY;
+  if (!passphrase) {
+    const keyFile = getKeyFilePath();
+    try {
+      // wx: 文件已存在时失败，避免覆盖已有口令导致旧令牌无法解密
+      fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+      console.log(`🔑 已生成 AI 令牌加密口令文件: ${keyFile}`);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    passphrase = fs.readFileSync(keyFile, 'utf8').trim();
+  }
+
+  cachedKey = crypto.scryptSync(passphrase, KEY_SALT, 32);
+  return cachedKey;
+}
+
+export function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * 加密令牌；空值、已加密的值和环境变量引用原样返回
+ */
+export function encryptSecret(value) {
+  if (!value || typeof value !== 'string' || isEncryptedSecret(value) || getSecretReference(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ENCRYPTED_PREFIX + [iv, tag, encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * 浏览器提交的配置能否引用该环境变量：名称以 _API_KEY 或 _API_TOKEN 结尾，
+ * 或列在 config.yaml 的 aiSecrets.allowedEnvVars 中。
+ * 其他变量（AI_SECRET_KEY、云服务凭据等）只能在 ai-config.yaml 中手动引用，避免被当作令牌发往任意地址
+ */
+export function isAllowedSecretReference(name) {
+  if (ALLOWED_REFERENCE_PATTERN.test(name)) return true;
+
+  const allowed = loadConfig().aiSecrets?.allowedEnvVars;
+  return Array.isArray(allowed) && allowed.includes(name);
+}
+
+/**
+ * 取得令牌明文：解密已加密的值，展开 ${ENV_VAR} 引用，其他值视为明文
+ */
+export function revealSecret(value) {
+  if (!value || typeof value !== 'string') return value || '';
+
+  const reference = getSecretReference(value);
+  if (reference) {
+    const envValue = process.env[reference];
+    if (envValue === undefined) {
+      console.warn(`⚠️ 配置引用的环境变量 ${reference} 未设置`);
+    }
+    return envValue || '';
+  }
+
+  if (!isEncryptedSecret(value)) return value;
+
+  try {
+    const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('无法解密 API 令牌，请确认 AI_SECRET_KEY 或口令文件与加密时一致，或在设置中重新填写令牌');
+  }
+}
@@ -0,0 +1,192 @@
+import os from 'os';
+import { loadConfig } from './config.js';
+import { DEFAULT_ALLOWED_ORIGINS, authenticateApiRequest, isOriginAllowed } from './auth.js';
+
+/**
+ * 会话管理 REST 接口（与 WebSocket 共用 8080 端口）
+ *
+ *   GET    /api/sessions                 列出会话
+ *   GET    /api/sessions/:id             会话详情
+ *   DELETE /api/sessions/:id             结束会话
+ *   POST   /api/sessions/:id/signal      发送信号 { "signal": "SIGINT" }
+ *   POST   /api/sessions/:id/input       发送输入 { "data": "ls\r" }
+ *   GET    /api/sessions/:id/output      最近的输出，?bytes= 限制长度，?strip=1 去除控制序列
+ *
+ * 认证方式见 authenticateApiRequest：Bearer 共享密钥或 Basic 用户名密码
+ */
+
+const ROUTE_PATTERN = /^\/api\/sessions(?:\/([\w-]+)(?:\/(signal|input|output))?)?\/?$/;
+
+// 请求体大小上限
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// ANSI 控制序列：CSI、OSC（BEL 或 ST 结尾）及其余单字符转义
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/**
+ * 创建 HTTP 请求处理函数，非 /api/sessions 的请求返回 404
+ */
+export function createSessionApiHandler(sessionManager) {
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const match = url.pathname.match(ROUTE_PATTERN);
+    if (!match) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const config = loadConfig();
+    const users = config.auth?.users || {};
+
+    // 浏览器会自动附带 Basic 凭据，拒绝其他页面发起的跨站请求
+    if (!isOriginAllowed(req.headers.origin, config.auth?.allowedOrigins || DEFAULT_ALLOWED_ORIGINS)) {
+      sendJson(res, 403, { error: 'Origin not allowed' });
+      return;
+    }
+
+    const auth = authenticateApiRequest(req.headers.authorization, users);
+    if (!auth) {
+      const headers = Object.keys(users).length > 0
+        ? { 'WWW-Authenticate': 'Basic realm="AI Terminal", charset="UTF-8"' }
+        : {};
+      sendJson(res, 401, { error: 'Authentication required' }, headers);
+      return;
+    }
+
+    const [, id, action] = match;
+
+    try {
+      if (!id) {
+        if (req.method !== 'GET') {
+          sendJson(res, 405, { error: 'Method not allowed' });
+          return;
+        }
+        const sessions = sessionManager.list(auth.admin ? null : auth.user);
+        sendJson(res, 200, { sessions: sessions.map(session => session.describe()) });
+        return;
+      }
+
+      // 非管理员只能看到自己的会话，其他会话一律视为不存在
+      const session = sessionManager.get(id);
+      if (!session || (!auth.admin && session.user !== auth.user)) {
+        sendJson(res, 404, { error: `Session not found: ${id}` });
+        return;
+      }
+
+      await handleSessionRequest(req, res, { sessionManager, session, action, url });
+    } catch (error) {
+      console.error('❌ 处理会话接口请求时出错:', error);
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+  };
+}
+
+async function handleSessionRequest(req, res, { sessionManager, session, action, url }) {
+  const route = `${req.method} ${action || 'session'}`;
+
+  switch (route) {
+    case 'GET session':
+      sendJson(res, 200, session.describe());
+      return;
+
+    case 'DELETE session':
+      console.log(`🔚 通过接口结束会话: ${session.id}`);
+      sessionManager.kill(session.id);
+      sendJson(res, 200, { success: true });
+      return;
+
+    case 'POST signal': {
+      const { signal = 'SIGTERM' } = await readJsonBody(req);
+      if (typeof signal !== 'string' || !Object.prototype.hasOwnProperty.call(os.constants.signals, signal)) {
+        throw httpError(400, `Unknown signal: ${signal}`);
+      }
+      console.log(`📶 通过接口向会话 ${session.id} 发送 ${signal}`);
+      session.pty.kill(signal);
+      sendJson(res, 200, { success: true });
+      return;
+    }
+
+    case 'POST input': {
+      const { data } = await readJsonBody(req);
+      if (typeof data !== 'string' || data.length === 0) {
+        throw httpError(400, '"data" must be a non-empty string');
+      }
+      session.write(data);
+      sendJson(res, 200, { success: true });
+      return;
+    }
+
+    case 'GET output': {
+      let output = session.buffer.toString();
+      if (['1', 'true'].includes(url.searchParams.get('strip'))) {
+        output = output.replace(ANSI_PATTERN, '');
+      }
+
+      const bytes = parseInt(url.searchParams.get('bytes'), 10);
+      if (bytes > 0) {
+        output = tailBytes(output, bytes);
+      }
+      sendJson(res, 200, { id: session.id, output });
+      return;
+    }
+
+    default:
+      sendJson(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+// 读取并解析 JSON 请求体
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_SIZE) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const parsed = body ? JSON.parse(body) : {};
+        resolve(parsed && typeof parsed === 'object' ? parsed : {});
+      } catch {
+        reject(httpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 取文本 UTF-8 编码的最后 maxBytes 字节，跳过被截断的多字节字符
+export function tailBytes(text, maxBytes) {
+  const buffer = Buffer.from(text);
+  if (buffer.length <= maxBytes) return text;
+
+  let start = buffer.length - maxBytes;
+  while (start < buffer.length && (buffer[start] & 0xc0) === 0x80) {
+    start++;
+  }
+  return buffer.subarray(start).toString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
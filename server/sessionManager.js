@@ -0,0 +1,672 @@
+import crypto from 'crypto';
+import * as pty from 'node-pty';
+import { RingBuffer } from './ringBuffer.js';
+import { SessionRecorder, isRecordingEnabled } from './recorder.js';
+import { applyShellIntegration } from './shellIntegration.js';
+import { getLimits, applyResourceLimits, OutputRateLimiter } from './limits.js';
+import { SshTerminal } from './sshTerminal.js';
+import { DockerTerminal } from './dockerTerminal.js';
+import { CwdTracker } from './cwdTracker.js';
+
+// 会话被其他连接接管时使用的关闭码，客户端收到后不再自动重连
+export const CLOSE_CODE_REPLACED = 4001;
+// 会话停止共享时断开访客连接使用的关闭码
+export const CLOSE_CODE_UNSHARED = 4002;
+// 只读访客处理不过来输出时断开其连接使用的关闭码，客户端重新连接后从回放中补收
+export const CLOSE_CODE_LAGGING = 4003;
+
+// 共享链接的访问方式：read-only 只能观看，read-write 可以共同输入
+export const SHARE_MODES = ['read-only', 'read-write'];
+
+// 检查空闲会话的间隔
+const IDLE_CHECK_INTERVAL = 10 * 1000;
+// 输出限速提示的最短间隔，避免持续刷屏时反复提示
+const THROTTLE_NOTICE_INTERVAL = 10 * 1000;
+
+// 输出合并：短时间内的多段 PTY 输出合并为一帧发送，积累到一定大小时立即发送
+const OUTPUT_FLUSH_DELAY = 5;
+const OUTPUT_BATCH_SIZE = 64 * 1024;
+
+// 流量控制：客户端未确认的输出超过高水位时暂停读取 PTY，所有客户端都降到低水位以下后恢复。
+// 只读访客不参与：超过高水位时断开其连接，避免持有只读链接的人拖住会话
+const FLOW_HIGH_WATERMARK = 512 * 1024;
+const FLOW_LOW_WATERMARK = 128 * 1024;
+
+// 输出以二进制帧发送：首字节为帧类型，其余为 UTF-8 编码的终端输出。
+// 重新连接时回放的历史输出单独标记，客户端不把它计入已收到的输出偏移量
+export const FRAME_OUTPUT = 0x01;
+export const FRAME_REPLAY = 0x02;
+
+// 等待用户确认 SSH 主机密钥的时间
+const HOST_KEY_CONFIRM_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * 终端会话
+ * 会话与 WebSocket 连接解耦：连接断开后 PTY 进程继续运行，
+ * 客户端可凭 terminalId 重新连接并回放最近的输出。
+ * 创建者（owner）之外，其他客户端可通过共享链接以只读或读写方式同时连接
+ */
+export class TerminalSession {
+  constructor(id, { profile, user, cols = 80, rows = 30, bufferSize, resizePolicy = 'smallest', rlimits }) {
+    this.id = id;
+    this.profile = profile;
+    this.shell = profile.command;
+    this.cwd = profile.cwd;
+    this.user = user;
+    this.createdAt = new Date();
+    this.lastActivity = Date.now(); // 最近一次输入或客户端连接的时间，持续的输出不算活动
+    this.clients = new Map(); // WebSocket -> { id, user, role, cols, rows, unacked }
+    this.nextClientId = 1;
+    this.resizePolicy = resizePolicy;
+    this.detachTimer = null;
+    this.recorder = null;
+    this.buffer = new RingBuffer(bufferSize);
+    this.pauseReasons = new Set(); // 暂停读取输出的原因（如输出限速、客户端处理不过来）
+    this.pendingOutput = []; // 等待合并发送的输出
+    this.pendingBytes = 0;
+    this.flushTimer = null;
+    this.idleWarned = false;
+    this.hostKeyPrompt = null; // 等待创建者确认的 SSH 主机密钥
+    this.downloadToken = null; // xt-download 的下载请求须带上的令牌，只有本机会话有
+
+    // SSH 主机和容器由服务端建立连接，接口与 node-pty 相同
+    if (profile.type === 'ssh') {
+      this.pty = new SshTerminal(profile, {
+        cols,
+        rows,
+        confirmHostKey: (hostKey) => this.confirmHostKey(hostKey)
+      });
+      this.pid = null;
+      return;
+    }
+    if (profile.type === 'docker') {
+      this.pty = new DockerTerminal(profile, { cols, rows });
+      this.pid = null;
+      return;
+    }
+
+    // 令牌经环境变量交给 shell 集成脚本，终端中显示的其他内容无法冒充下载请求
+    this.downloadToken = crypto.randomBytes(16).toString('hex');
+
+    // 创建伪终端进程，bash/zsh/fish 注入 shell 集成脚本，配置了 rlimit 时经 sh 设置后启动
+    const launch = applyShellIntegration(profile);
+    const { command, args } = applyResourceLimits(profile.command, launch.args, rlimits);
+    this.pty = pty.spawn(command, args, {
+      name: 'xterm-color',
+      cols,
+      rows,
+      cwd: profile.cwd,
+      env: {
+        ...process.env,
+        TERM: 'xterm-256color',
+        COLORTERM: 'truecolor',
+        ...launch.env,
+        XTERMINAL_DOWNLOAD_TOKEN: this.downloadToken
+      }
+    });
+    this.pid = this.pty.pid;
+  }
+
+  /**
+   * 向终端写入输入
+   */
+  write(data) {
+    this.lastActivity = Date.now();
+    this.pty.write(data);
+  }
+
+  /**
+   * 请创建者确认 SSH 主机密钥，超时或没有创建者连接时视为拒绝
+   */
+  confirmHostKey(hostKey) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.answerHostKey(false), HOST_KEY_CONFIRM_TIMEOUT);
+      this.hostKeyPrompt = { hostKey, resolve, timer };
+      this.sendHostKeyPrompt();
+    });
+  }
+
+  /**
+   * 向创建者的连接发送待确认的主机密钥，重新连接时再次发送
+   */
+  sendHostKeyPrompt() {
+    if (!this.hostKeyPrompt) return;
+
+    this.clients.forEach((client, ws) => {
+      if (client.role === 'owner') {
+        sendTo(ws, { type: 'host-key', ...this.hostKeyPrompt.hostKey });
+      }
+    });
+  }
+
+  /**
+   * 创建者对主机密钥的答复
+   */
+  answerHostKey(accepted) {
+    const prompt = this.hostKeyPrompt;
+    if (!prompt) return;
+
+    clearTimeout(prompt.timer);
+    this.hostKeyPrompt = null;
+    prompt.resolve(Boolean(accepted));
+  }
+
+  /**
+   * 本机上的当前工作目录（见 CwdTracker.getLocalCwd），用于上传文件和新标签页沿用目录
+   */
+  getCwd() {
+    return this.cwdTracker.getLocalCwd();
+  }
+
+  /**
+   * 会话概要，供管理接口使用
+   */
+  describe() {
+    return {
+      id: this.id,
+      pid: this.pid,
+      user: this.user,
+      profile: this.profile.id,
+      shell: this.shell,
+      cwd: this.getCwd(),
+      cols: this.pty.cols,
+      rows: this.pty.rows,
+      createdAt: this.createdAt.toISOString(),
+      idleSeconds: Math.floor((Date.now() - this.lastActivity) / 1000),
+      recording: Boolean(this.recorder),
+      clients: [...this.clients.values()].map(({ id, user, role }) => ({ id, user, role }))
+    };
+  }
+
+  /**
+   * 暂停读取 PTY 输出，多个原因同时存在时全部解除后才恢复
+   */
+  pauseOutput(reason) {
+    if (this.pauseReasons.size === 0) {
+      this.pty.pause();
+    }
+    this.pauseReasons.add(reason);
+  }
+
+  /**
+   * 解除一个暂停原因
+   */
+  resumeOutput(reason) {
+    if (!this.pauseReasons.delete(reason)) return;
+    if (this.pauseReasons.size === 0) {
+      this.pty.resume();
+    }
+  }
+
+  /**
+   * 重新连接时需要回放的输出。客户端提供已收到的输出偏移量且仍在缓冲区内时只回放之后的部分，
+   * 否则回放缓冲区内的全部输出（reset 为 true，客户端需先清空终端）。
+   * 调用前须先 flushOutput，使回放覆盖到缓冲区末尾；offset 为回放结束处的偏移量
+   */
+  getReplay(offset) {
+    const end = this.buffer.end;
+    const resume = Number.isInteger(offset) && offset >= this.buffer.start && offset <= end;
+    return {
+      data: this.buffer.slice(resume ? offset : this.buffer.start, end),
+      reset: !resume,
+      offset: end
+    };
+  }
+
+  /**
+   * 缓存一段输出，等待合并后发送
+   */
+  queueOutput(data) {
+    this.pendingOutput.push(data);
+    this.pendingBytes += Buffer.byteLength(data);
+
+    if (this.pendingBytes >= OUTPUT_BATCH_SIZE) {
+      this.flushOutput();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushOutput(), OUTPUT_FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * 立即把缓存的输出发送到所有客户端
+   */
+  flushOutput() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pendingOutput.length === 0) return;
+
+    const frame = encodeOutputFrame(this.pendingOutput.join(''));
+    this.pendingOutput = [];
+    this.pendingBytes = 0;
+    this.clients.forEach((client, ws) => this.sendOutput(ws, frame));
+  }
+
+  /**
+   * 向一个客户端发送输出帧并计入未确认字节，客户端落后过多时暂停读取 PTY；
+   * 落后过多的只读访客被断开，不再发送输出
+   */
+  sendOutput(ws, frame) {
+    const client = this.clients.get(ws);
+    if (!client || client.lagging || ws.readyState !== ws.OPEN) return;
+
+    ws.send(frame);
+    client.unacked += frame.length - 1;
+    if (client.unacked <= FLOW_HIGH_WATERMARK) return;
+
+    if (client.role === 'read-only') {
+      console.warn(`🐢 会话 ${this.id} 的只读访客 ${client.user} 处理输出过慢，断开连接`);
+      client.lagging = true;
+      ws.close(CLOSE_CODE_LAGGING, 'Viewer fell behind');
+    } else {
+      this.pauseOutput('flow-control');
+    }
+  }
+
+  /**
+   * 客户端确认已处理的输出字节数
+   */
+  acknowledge(ws, bytes) {
+    const client = this.clients.get(ws);
+    if (!client || !(bytes > 0)) return;
+
+    client.unacked = Math.max(0, client.unacked - bytes);
+    this.updateFlowControl();
+  }
+
+  /**
+   * 创建者和可输入的访客的未确认输出都降到低水位以下时恢复读取 PTY
+   */
+  updateFlowControl() {
+    const behind = [...this.clients.values()].some(client =>
+      client.role !== 'read-only' && client.unacked > FLOW_LOW_WATERMARK);
+    if (!behind) {
+      this.resumeOutput('flow-control');
+    }
+  }
+
+  /**
+   * 调整终端尺寸，录制中时同时记录尺寸变化
+   */
+  resize(cols, rows) {
+    this.pty.resize(cols, rows);
+    this.recorder?.resize(cols, rows);
+  }
+
+  /**
+   * 开始录制，返回录制文件名
+   */
+  startRecording() {
+    if (!this.recorder) {
+      this.recorder = new SessionRecorder(this, this.pty.cols, this.pty.rows);
+    }
+    return this.recorder.fileName;
+  }
+
+  /**
+   * 停止录制
+   */
+  stopRecording() {
+    this.recorder?.close();
+    this.recorder = null;
+  }
+
+  /**
+   * 记录客户端的终端尺寸并重新计算 PTY 尺寸
+   */
+  setClientSize(ws, cols, rows) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    client.cols = cols;
+    client.rows = rows;
+    if (this.applyClientSizes()) {
+      this.sendPresence();
+    }
+  }
+
+  /**
+   * 按调整策略计算 PTY 尺寸：smallest 取所有客户端的最小尺寸，保证每个人都能看到完整画面；
+   * owner 跟随创建者的尺寸，创建者未连接时退回 smallest。尺寸有变化时返回 true
+   */
+  applyClientSizes() {
+    const sized = [...this.clients.values()].filter(client => client.cols && client.rows);
+    const owners = sized.filter(client => client.role === 'owner');
+    const basis = this.resizePolicy === 'owner' && owners.length > 0 ? owners : sized;
+    if (basis.length === 0) return false;
+
+    const cols = Math.min(...basis.map(client => client.cols));
+    const rows = Math.min(...basis.map(client => client.rows));
+    if (cols === this.pty.cols && rows === this.pty.rows) return false;
+
+    this.resize(cols, rows);
+    console.log(`🔄 终端大小调整为: ${cols}x${rows}`);
+    return true;
+  }
+
+  /**
+   * 向所有客户端发送当前连接的用户列表和 PTY 尺寸
+   */
+  sendPresence() {
+    const clients = [...this.clients.values()].map(({ id, user, role }) => ({ id, user, role }));
+
+    this.clients.forEach((client, ws) => {
+      sendTo(ws, {
+        type: 'presence',
+        clientId: client.id,
+        role: client.role,
+        clients: clients,
+        cols: this.pty.cols,
+        rows: this.pty.rows
+      });
+    });
+  }
+
+  /**
+   * 向所有连接的客户端发送消息
+   */
+  send(message) {
+    this.clients.forEach((client, ws) => sendTo(ws, message));
+  }
+}
+
+/**
+ * 把终端输出编码为二进制输出帧
+ */
+export function encodeOutputFrame(data, type = FRAME_OUTPUT) {
+  const frame = Buffer.allocUnsafe(1 + Buffer.byteLength(data));
+  frame[0] = type;
+  frame.write(data, 1);
+  return frame;
+}
+
+function sendTo(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * 终端会话管理器
+ * 负责会话的创建、连接/断开以及断开超时后的回收
+ */
+export class SessionManager {
+  constructor({ detachTimeout = 5 * 60 * 1000, bufferSize = 256 * 1024, resizePolicy = 'smallest' } = {}) {
+    this.detachTimeout = detachTimeout;
+    this.bufferSize = bufferSize;
+    this.resizePolicy = resizePolicy;
+    this.sessions = new Map();
+    this.shares = new Map(); // 共享令牌 -> { sessionId, mode }
+
+    // 定期结束空闲超时的会话
+    this.idleTimer = setInterval(() => this.reapIdleSessions(), IDLE_CHECK_INTERVAL);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * 按启动配置创建新的终端会话
+   */
+  create({ user, profile, cols, rows }) {
+    const id = generateId();
+    const limits = getLimits();
+
+    const session = new TerminalSession(id, {
+      profile,
+      user,
+      cols,
+      rows,
+      bufferSize: this.bufferSize,
+      resizePolicy: this.resizePolicy,
+      rlimits: limits.rlimits
+    });
+    this.sessions.set(id, session);
+
+    console.log(`✅ 终端进程创建成功: PID ${session.pid}, 配置: ${profile.name}, Shell: ${profile.command}, ID: ${id}`);
+
+    // 配置了默认录制时从创建起开始录制
+    if (isRecordingEnabled()) {
+      session.startRecording();
+    }
+
+    // 输出过快时限速并提示客户端
+    let lastThrottleNotice = 0;
+    session.outputLimiter = new OutputRateLimiter(session, limits.maxOutputRate, () => {
+      if (Date.now() - lastThrottleNotice < THROTTLE_NOTICE_INTERVAL) return;
+      lastThrottleNotice = Date.now();
+      console.warn(`🐢 会话 ${id} 输出速率超过限制，已限速`);
+      session.send({
+        type: 'error',
+        code: 'rate-limit',
+        message: `输出速率超过 ${Math.round(limits.maxOutputRate / 1024)} KB/s 的限制，已限速`
+      });
+    });
+
+    // 跟踪 shell 的当前目录，变化时通知客户端更新标签页标题
+    session.cwdTracker = new CwdTracker(session.pid, session.cwd, (cwd) => {
+      session.send({ type: 'cwd', cwd });
+    });
+
+    // 监听终端输出：写入回放缓冲区，合并后发送到客户端
+    session.pty.onData((data) => {
+      session.outputLimiter.record(Buffer.byteLength(data));
+      session.cwdTracker.update(data);
+      session.buffer.push(data);
+      session.recorder?.output(data);
+      session.queueOutput(data);
+    });
+
+    // 监听终端退出
+    session.pty.onExit(({ exitCode, signal }) => {
+      console.log(`🔚 终端进程退出: id=${id}, code=${exitCode}, signal=${signal}`);
+      clearTimeout(session.detachTimer);
+      this.sessions.delete(id);
+      this.removeShares(id);
+      session.stopRecording();
+      session.outputLimiter.dispose();
+      session.cwdTracker.dispose();
+      session.answerHostKey(false);
+      session.flushOutput();
+
+      session.send({
+        type: 'exit',
+        code: exitCode,
+        signal: signal
+      });
+      session.clients.forEach((client, ws) => ws.close());
+    });
+
+    return session;
+  }
+
+  /**
+   * 根据ID获取会话
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * 列出所有会话，指定用户时只返回该用户创建的会话
+   */
+  list(user) {
+    return [...this.sessions.values()].filter(session => !user || session.user === user);
+  }
+
+  /**
+   * 将WebSocket连接绑定到会话，取消待执行的回收
+   * role 为 owner（创建者）或共享链接的访问方式
+   */
+  attach(session, ws, { user, role = 'owner' }) {
+    clearTimeout(session.detachTimer);
+    session.detachTimer = null;
+    session.lastActivity = Date.now();
+
+    // 新连接加入前把缓存中的输出发给已有客户端；新连接从回放中取得这部分输出，不会重复收到
+    session.flushOutput();
+
+    // 创建者同时只允许一个连接，旧连接被新连接取代；访客连接不受影响
+    if (role === 'owner') {
+      session.clients.forEach((client, other) => {
+        if (client.role !== 'owner' || other === ws) return;
+
+        sendTo(other, {
+          type: 'error',
+          message: '会话已在其他连接中打开'
+        });
+        session.clients.delete(other);
+        other.close(CLOSE_CODE_REPLACED, 'Session attached elsewhere');
+      });
+      session.updateFlowControl();
+    }
+
+    session.clients.set(ws, { id: session.nextClientId++, user, role, cols: null, rows: null, unacked: 0 });
+    session.sendPresence();
+    session.sendHostKeyPrompt();
+  }
+
+  /**
+   * 解除WebSocket连接，所有客户端都断开且超时后仍未重新连接则结束进程
+   */
+  detach(session, ws) {
+    if (!session.clients.delete(ws)) return;
+    session.updateFlowControl();
+
+    // 进程已退出的会话无需等待重连
+    if (!this.sessions.has(session.id)) return;
+
+    // 仍有其他客户端连接时只更新尺寸和在线列表
+    if (session.clients.size > 0) {
+      session.applyClientSizes();
+      session.sendPresence();
+      return;
+    }
+
+    console.log(`⏸️ 终端会话已分离: ${session.id}，${this.detachTimeout / 1000}秒内可重新连接`);
+
+    session.detachTimer = setTimeout(() => {
+      console.log(`⌛ 会话重连超时，关闭终端进程: ${session.id}`);
+      this.kill(session.id);
+    }, this.detachTimeout);
+  }
+
+  /**
+   * 结束指定会话的终端进程
+   */
+  kill(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+
+    clearTimeout(session.detachTimer);
+    this.sessions.delete(id);
+    session.pty.kill();
+  }
+
+  /**
+   * 结束空闲超时的会话，超时前 idleWarning 秒提醒客户端；有新的输入或客户端连接后重新计时。
+   * 只看输出的话，运行 tail -f 或循环打印的被遗弃会话永远不会超时
+   */
+  reapIdleSessions() {
+    const { idleTimeout, idleWarning } = getLimits();
+    if (!(idleTimeout > 0)) return;
+
+    const now = Date.now();
+    this.sessions.forEach((session) => {
+      const idle = (now - session.lastActivity) / 1000;
+
+      if (idle >= idleTimeout) {
+        console.log(`⌛ 会话空闲超时，关闭终端进程: ${session.id}`);
+        session.send({
+          type: 'error',
+          code: 'idle-timeout',
+          message: `会话空闲超过 ${idleTimeout} 秒，已结束`
+        });
+        this.kill(session.id);
+      } else if (idleWarning > 0 && idle >= idleTimeout - idleWarning) {
+        if (session.idleWarned) return;
+
+        session.idleWarned = true;
+        const remaining = Math.ceil(idleTimeout - idle);
+        session.send({
+          type: 'warning',
+          code: 'idle-timeout',
+          message: `会话空闲，将在 ${remaining} 秒后结束，输入任意内容可保持会话`,
+          seconds: remaining
+        });
+      } else {
+        session.idleWarned = false;
+      }
+    });
+  }
+
+  /**
+   * 为会话创建共享令牌，同一会话同一访问方式复用已有令牌
+   */
+  share(session, mode) {
+    if (!SHARE_MODES.includes(mode)) {
+      throw new Error(`未知的共享方式: ${mode}`);
+    }
+
+    for (const [token, share] of this.shares) {
+      if (share.sessionId === session.id && share.mode === mode) return token;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    this.shares.set(token, { sessionId: session.id, mode });
+    console.log(`🔗 会话 ${session.id} 已共享 (${mode})`);
+    return token;
+  }
+
+  /**
+   * 根据共享令牌查找会话，令牌无效或会话已结束时返回 null
+   */
+  resolveShare(token) {
+    const share = token ? this.shares.get(token) : undefined;
+    const session = share ? this.sessions.get(share.sessionId) : undefined;
+    return session ? { session, mode: share.mode } : null;
+  }
+
+  /**
+   * 停止共享：作废会话的所有共享令牌并断开访客连接
+   */
+  unshare(session) {
+    this.removeShares(session.id);
+
+    session.clients.forEach((client, ws) => {
+      if (client.role === 'owner') return;
+
+      sendTo(ws, {
+        type: 'error',
+        message: '会话已停止共享'
+      });
+      ws.close(CLOSE_CODE_UNSHARED, 'Session is no longer shared');
+    });
+    console.log(`🔒 会话 ${session.id} 已停止共享`);
+  }
+
+  /**
+   * 会话是否有有效的共享令牌
+   */
+  isShared(session) {
+    return [...this.shares.values()].some(share => share.sessionId === session.id);
+  }
+
+  removeShares(sessionId) {
+    this.shares.forEach((share, token) => {
+      if (share.sessionId === sessionId) this.shares.delete(token);
+    });
+  }
+
+  /**
+   * 结束所有终端进程
+   */
+  killAll() {
+    this.sessions.forEach((session, id) => {
+      console.log(`🔚 关闭终端进程: ${id}`);
+      this.kill(id);
+    });
+  }
+}
+
+// 生成会话ID：重新连接和会话接口都凭它定位会话，与共享令牌一样使用密码学安全的随机数
+function generateId() {
+  return crypto.randomBytes(12).toString('base64url');
+}
@@ -0,0 +1,77 @@
+# XTerminal bash 集成：以 OSC 133 标记提示符、命令开始和退出码，以 OSC 7 报告当前目录，
+# 并提供 xt-download 下载文件
+# 通过 --rcfile 注入，先按原本的启动方式加载用户配置
+
+if [ -n "$XTERMINAL_SHELL_LOGIN" ]; then
+  unset XTERMINAL_SHELL_LOGIN
+  [ -r /etc/profile ] && . /etc/profile
+  if [ -r ~/.bash_profile ]; then
+    . ~/.bash_profile
+  elif [ -r ~/.bash_login ]; then
+    . ~/.bash_login
+  elif [ -r ~/.profile ]; then
+    . ~/.profile
+  fi
+else
+  [ -r ~/.bashrc ] && . ~/.bashrc
+fi
+
+if [ -z "$__xterminal_integrated" ]; then
+  __xterminal_integrated=1
+
+  # 下载请求须带上会话的令牌，只保存在 shell 变量中，不传给子进程
+  __xterminal_download_token=$XTERMINAL_DOWNLOAD_TOKEN
+  unset XTERMINAL_DOWNLOAD_TOKEN
+
+  # 命令结束：上报退出码和当前目录，并保留 $? 给用户的 PROMPT_COMMAND
+  __xterminal_precmd() {
+    local status=$?
+    printf '\e]133;D;%s\a' "$status"
+    __xterminal_report_cwd
+    return $status
+  }
+
+  # OSC 7：以 file:// URL 报告当前目录，按字节对特殊字符做 URL 编码
+  __xterminal_report_cwd() {
+    local LC_ALL=C
+    local path=$PWD encoded='' char i
+    for (( i = 0; i < ${#path}; i++ )); do
+      char=${path:i:1}
+      case "$char" in
+        [a-zA-Z0-9/._~-]) encoded+=$char ;;
+        *) printf -v char '%%%02X' "'$char"; encoded+=$char ;;
+      esac
+    done
+    printf '\e]7;file://%s%s\a' "$HOSTNAME" "$encoded"
+  }
+
+  # 提示符可能被用户的 PROMPT_COMMAND 重写，每次都检查是否仍带有标记
+  __xterminal_update_prompt() {
+    if [[ "$PS1" != *'133;A'* ]]; then
+      PS1='\[\e]133;A\a\]'"$PS1"'\[\e]133;B\a\]'
+    fi
+  }
+
+  # 用换行分隔，用户的 PROMPT_COMMAND 以 ; 结尾时也能正常拼接
+  PROMPT_COMMAND=$'__xterminal_precmd\n'"${PROMPT_COMMAND}"$'\n__xterminal_update_prompt'
+
+  # PS0 在读入命令之后、执行之前输出
+  PS0="${PS0}"'\e]133;C\a'
+
+  # 把文件下载到浏览器：输出文件的绝对路径，由终端页面向服务端请求文件内容
+  xt-download() {
+    if [ $# -eq 0 ]; then
+      echo '用法: xt-download 文件...' >&2
+      return 2
+    fi
+    local file
+    for file in "$@"; do
+      if [ ! -f "$file" ]; then
+        echo "xt-download: $file: 不是文件" >&2
+        return 1
+      fi
+      [[ "$file" = /* ]] || file="$PWD/$file"
+      printf '\e]1337;XTerminalDownload=%s;%s\a' "$__xterminal_download_token" "$(printf '%s' "$file" | base64 | tr -d '\n')"
+    done
+  }
+fi
@@ -0,0 +1,48 @@
+# XTerminal fish 集成：以 OSC 133 标记提示符、命令开始和退出码，以 OSC 7 报告当前目录，
+# 并提供 xt-download 下载文件
+# 通过 --init-command 注入，此时用户的 config.fish 已加载
+
+if not set -q __xterminal_integrated
+    set -g __xterminal_integrated 1
+
+    # 下载请求须带上会话的令牌，只保存在 shell 变量中，不传给子进程
+    set -g __xterminal_download_token $XTERMINAL_DOWNLOAD_TOKEN
+    set -e XTERMINAL_DOWNLOAD_TOKEN
+
+    functions -c fish_prompt __xterminal_original_prompt
+
+    function fish_prompt
+        printf '\e]133;A\a'
+        __xterminal_original_prompt
+        printf '\e]133;B\a'
+    end
+
+    function __xterminal_preexec --on-event fish_preexec
+        printf '\e]133;C\a'
+    end
+
+    function __xterminal_postexec --on-event fish_postexec
+        printf '\e]133;D;%s\a' $status
+    end
+
+    # OSC 7：以 file:// URL 报告当前目录
+    function __xterminal_report_cwd --on-event fish_prompt
+        printf '\e]7;file://%s%s\a' $hostname (string escape --style=url -- $PWD)
+    end
+
+    # 把文件下载到浏览器：输出文件的绝对路径，由终端页面向服务端请求文件内容
+    function xt-download
+        if test (count $argv) -eq 0
+            echo '用法: xt-download 文件...' >&2
+            return 2
+        end
+        for file in $argv
+            if not test -f $file
+                echo "xt-download: $file: 不是文件" >&2
+                return 1
+            end
+            string match -q -- '/*' $file; or set file $PWD/$file
+            printf '\e]1337;XTerminalDownload=%s;%s\a' $__xterminal_download_token (printf '%s' $file | base64 | string join '')
+        end
+    end
+end
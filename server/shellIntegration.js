@@ -0,0 +1,72 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+
+/**
+ * Shell 集成
+ * 启动 bash/zsh/fish 时注入集成脚本，脚本以 OSC 133 序列标记
+ * 提示符开始(A)、命令输入开始(B)、命令执行开始(C)和命令结束及退出码(D)，
+ * 前端据此把每条命令划分为独立的命令块；每次显示提示符前还以 OSC 7 报告当前目录（见 CwdTracker）。
+ * 脚本还定义 xt-download 命令，以 OSC 1337;XTerminalDownload 请求把文件下载到浏览器
+ */
+
+const scriptsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'shell-integration');
+
+// 这些参数会让 bash 以登录方式启动，--rcfile 将被忽略
+const BASH_LOGIN_ARGS = ['-l', '--login'];
+
+// 带有这些参数时 shell 不进入交互模式，无需注入
+const NON_INTERACTIVE_ARGS = ['-c', '--command', '-s'];
+
+/**
+ * 是否启用 shell 集成：config.yaml 的 shellIntegration.enabled 为全局开关，
+ * 启动配置中 shellIntegration: false 可单独关闭
+ */
+export function isShellIntegrationEnabled(profile) {
+  return loadConfig().shellIntegration?.enabled !== false && profile.shellIntegration !== false;
+}
+
+/**
+ * 返回注入集成脚本后的启动参数与环境变量，不支持的 shell 原样返回
+ */
+export function applyShellIntegration(profile) {
+  const launch = { args: profile.args, env: profile.env };
+  if (!isShellIntegrationEnabled(profile)) return launch;
+  if (profile.args.some(arg => NON_INTERACTIVE_ARGS.includes(arg))) return launch;
+
+  switch (path.basename(profile.command)) {
+    case 'bash': {
+      const login = profile.args.some(arg => BASH_LOGIN_ARGS.includes(arg));
+      return {
+        args: ['--rcfile', path.join(scriptsDir, 'bash.sh'), ...profile.args.filter(arg => !BASH_LOGIN_ARGS.includes(arg))],
+        env: { ...profile.env, ...(login ? { XTERMINAL_SHELL_LOGIN: '1' } : {}) }
+      };
+    }
+
+    case 'zsh': {
+      const userZdotdir = profile.env.ZDOTDIR || process.env.ZDOTDIR;
+      return {
+        args: profile.args,
+        env: {
+          ...profile.env,
+          ...(userZdotdir ? { XTERMINAL_USER_ZDOTDIR: userZdotdir } : {}),
+          ZDOTDIR: path.join(scriptsDir, 'zsh')
+        }
+      };
+    }
+
+    case 'fish':
+      return {
+        args: [...profile.args, '--init-command', `source ${quoteFish(path.join(scriptsDir, 'fish.fish'))}`],
+        env: profile.env
+      };
+
+    default:
+      return launch;
+  }
+}
+
+// fish 单引号字符串只需转义 \ 和 '
+function quoteFish(value) {
+  return `'${value.replace(/[\\']/g, '\\$&')}'`;
+}
@@ -0,0 +1,381 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import ssh2 from 'ssh2';
+import { checkHostKey, parseHostKey, rememberHostKey } from './knownHosts.js';
+
+const { Client, utils } = ssh2;
+
+/**
+ * SSH 终端
+ * 由服务端通过 ssh2 连接 SSH 主机（可经跳板机），并提供与 node-pty 相同的接口
+ * （onData、onExit、write、resize、pause、resume、kill），会话无需区分本地终端和 SSH。
+ * 密码、键盘交互认证和私钥口令直接在终端中输入；首次连接的主机由客户端确认密钥指纹
+ */
+
+// 等待用户确认主机密钥和输入密码的时间计入握手超时
+const CONNECT_TIMEOUT = 20 * 1000;
+const PROMPT_TIMEOUT = 2 * 60 * 1000;
+const KEEPALIVE_INTERVAL = 30 * 1000;
+
+// 未配置 key 时依次尝试的默认私钥
+const DEFAULT_KEY_FILES = ['id_ed25519', 'id_ecdsa', 'id_rsa'];
+
+export class SshTerminal {
+  /**
+   * confirmHostKey({ host, port, algorithm, fingerprint }) 返回 Promise<boolean>，由用户确认未知主机的密钥
+   */
+  constructor(profile, { cols = 80, rows = 30, confirmHostKey }) {
+    this.profile = profile;
+    this.cols = cols;
+    this.rows = rows;
+    this.pid = null; // 没有本地进程
+    this.confirmHostKey = confirmHostKey;
+    this.dataListeners = [];
+    this.exitListeners = [];
+    this.clients = []; // 连接链：跳板机在前，目标主机在后
+    this.stream = null;
+    this.paused = false;
+    this.exited = false;
+    this.pendingPrompt = null; // 正在终端中读取的密码等输入
+    this.decoder = new StringDecoder('utf8');
+
+    // 等会话注册完 onData/onExit 后再开始连接
+    setImmediate(() => this.connect());
+  }
+
+  onData(listener) {
+    this.dataListeners.push(listener);
+  }
+
+  onExit(listener) {
+    this.exitListeners.push(listener);
+  }
+
+  emitData(data) {
+    if (data) this.dataListeners.forEach(listener => listener(data));
+  }
+
+  /**
+   * 建立连接并打开远程 shell，失败时在终端中显示原因并结束会话
+   */
+  async connect() {
+    try {
+      this.emitData(`\x1b[2m正在连接 ${describeTarget(this.profile)}...\x1b[0m\r\n`);
+      const client = await this.openClient(this.profile);
+      if (this.exited) return;
+
+      const stream = await new Promise((resolve, reject) => {
+        client.shell({ term: 'xterm-256color', cols: this.cols, rows: this.rows }, (error, channel) => {
+          if (error) reject(error);
+          else resolve(channel);
+        });
+      });
+      if (this.exited) {
+        stream.close();
+        return;
+      }
+
+      let exitCode = null;
+      let exitSignal;
+      stream.on('data', data => this.emitData(this.decoder.write(data)));
+      stream.stderr.on('data', data => this.emitData(this.decoder.write(data)));
+      stream.on('exit', (code, signal) => {
+        exitCode = code;
+        exitSignal = signal;
+      });
+      stream.on('close', () => this.finish(exitCode ?? 0, exitSignal));
+
+      this.stream = stream;
+      if (this.paused) stream.pause();
+      console.log(`🔐 SSH 连接已建立: ${describeTarget(this.profile)}`);
+    } catch (error) {
+      if (this.exited) return;
+      console.error(`❌ SSH 连接失败 (${describeTarget(this.profile)}):`, error.message);
+      this.emitData(`\r\n\x1b[31mSSH 连接失败: ${error.message}\x1b[0m\r\n`);
+      this.finish(255);
+    }
+  }
+
+  /**
+   * 连接一台主机，配置了跳板机时先连接跳板机并经其转发
+   */
+  async openClient(profile) {
+    let sock;
+    if (profile.jumpHost) {
+      const jump = await this.openClient(profile.jumpHost);
+      sock = await new Promise((resolve, reject) => {
+        jump.forwardOut('127.0.0.1', 0, profile.host, profile.port, (error, channel) => {
+          if (error) reject(new Error(`跳板机 ${profile.jumpHost.host} 无法转发到 ${profile.host}:${profile.port}: ${error.message}`));
+          else resolve(channel);
+        });
+      });
+    }
+
+    const client = new Client();
+    this.clients.push(client);
+
+    await new Promise((resolve, reject) => {
+      let ready = false;
+      client.on('ready', () => {
+        ready = true;
+        resolve();
+      });
+      client.on('error', (error) => {
+        if (ready) console.error(`❌ SSH 连接出错 (${profile.host}):`, error.message);
+        else reject(error);
+      });
+      // 跳板机断开时目标主机的连接也随之关闭
+      client.on('close', () => {
+        if (ready) this.kill();
+        else reject(new Error('连接已被关闭'));
+      });
+
+      client.connect({
+        host: profile.host,
+        port: profile.port,
+        username: profile.user,
+        sock,
+        readyTimeout: CONNECT_TIMEOUT + PROMPT_TIMEOUT,
+        keepaliveInterval: KEEPALIVE_INTERVAL,
+        hostVerifier: (key, verify) => {
+          this.verifyHostKey(profile, key).then(verify, (error) => {
+            console.error('❌ 校验主机密钥失败:', error);
+            verify(false);
+          });
+        },
+        authHandler: this.createAuthHandler(profile)
+      });
+    });
+
+    return client;
+  }
+
+  /**
+   * 校验主机密钥：已知则通过，与记录不符时拒绝，未知时请用户确认并记录
+   */
+  async verifyHostKey(profile, key) {
+    const hostKey = parseHostKey(key);
+    const target = profile.port === 22 ? profile.host : `[${profile.host}]:${profile.port}`;
+    const status = checkHostKey(profile.host, profile.port, hostKey);
+    if (status === 'known') return true;
+
+    if (status === 'changed') {
+      this.emitData(
+        `\x1b[31m警告: ${target} 的 ${hostKey.algorithm} 主机密钥已改变！\r\n` +
+        `收到的指纹为 ${hostKey.fingerprint}，连接可能被中间人截获。\r\n` +
+        '如确认密钥已更换，请从 known_hosts 中删除旧的记录后重试。\x1b[0m\r\n'
+      );
+      return false;
+    }
+
+    this.emitData(
+      `\x1b[33m无法确认主机 ${target} 的真实性。\r\n` +
+      `${hostKey.algorithm} 密钥指纹为 ${hostKey.fingerprint}，请在页面上确认是否继续连接。\x1b[0m\r\n`
+    );
+    const accepted = await this.confirmHostKey({
+      host: profile.host,
+      port: profile.port,
+      algorithm: hostKey.algorithm,
+      fingerprint: hostKey.fingerprint
+    });
+    if (accepted) {
+      rememberHostKey(profile.host, profile.port, hostKey);
+      this.emitData(`\x1b[2m已将 ${target} 加入已知主机列表。\x1b[0m\r\n`);
+    } else {
+      this.emitData('\x1b[31m主机密钥未被接受。\x1b[0m\r\n');
+    }
+    return accepted;
+  }
+
+  /**
+   * 依次尝试 ssh-agent、私钥、键盘交互和密码认证，各尝试一次
+   */
+  createAuthHandler(profile) {
+    const username = profile.user;
+    const methods = [];
+    if (process.env.SSH_AUTH_SOCK) {
+      methods.push({ type: 'agent', username, agent: process.env.SSH_AUTH_SOCK });
+    }
+    getKeyFiles(profile).forEach(file => methods.push({ type: 'publickey', file }));
+    methods.push({ type: 'keyboard-interactive' }, { type: 'password' });
+
+    let nextIndex = 0;
+    return (methodsLeft, partialSuccess, next) => {
+      // 跳过服务端不接受的认证方式
+      while (nextIndex < methods.length && methodsLeft && !methodsLeft.includes(methods[nextIndex].type)) {
+        nextIndex++;
+      }
+      const method = methods[nextIndex++];
+      if (!method) {
+        next(false);
+        return;
+      }
+
+      this.prepareAuth(profile, method).then(
+        auth => auth ? next(auth) : next(false),
+        () => next(false)
+      );
+    };
+  }
+
+  /**
+   * 生成一次认证尝试，需要时在终端中读取私钥口令或密码；用户取消时返回 null
+   */
+  async prepareAuth(profile, method) {
+    const username = profile.user;
+    const target = `${username}@${profile.host}`;
+
+    switch (method.type) {
+      case 'publickey': {
+        // 加密的私钥在终端中询问口令，口令不写入配置文件
+        const key = fs.readFileSync(method.file);
+        let passphrase;
+        if (utils.parseKey(key) instanceof Error) {
+          passphrase = await this.prompt(`私钥 ${method.file} 的口令: `, false);
+          if (passphrase === null) return null;
+        }
+        return { type: 'publickey', username, key, passphrase };
+      }
+
+      case 'keyboard-interactive':
+        return {
+          type: 'keyboard-interactive',
+          username,
+          prompt: async (name, instructions, lang, prompts, finish) => {
+            if (name) this.emitData(`${name}\r\n`);
+            if (instructions) this.emitData(`${instructions}\r\n`);
+
+            const answers = [];
+            for (const { prompt, echo } of prompts) {
+              const answer = await this.prompt(prompt || `${target} 的密码: `, echo);
+              if (answer === null) {
+                finish([]);
+                return;
+              }
+              answers.push(answer);
+            }
+            finish(answers);
+          }
+        };
+
+      case 'password': {
+        const password = await this.prompt(`${target} 的密码: `, false);
+        return password === null ? null : { type: 'password', username, password };
+      }
+
+      default:
+        return method;
+    }
+  }
+
+  /**
+   * 在终端中读取一行输入，Ctrl+C 取消时返回 null
+   */
+  prompt(text, echo) {
+    return new Promise((resolve) => {
+      this.emitData(text);
+      const timer = setTimeout(() => this.answerPrompt(null), PROMPT_TIMEOUT);
+      this.pendingPrompt = { echo, value: '', resolve, timer };
+    });
+  }
+
+  answerPrompt(value) {
+    const prompt = this.pendingPrompt;
+    if (!prompt) return;
+
+    clearTimeout(prompt.timer);
+    this.pendingPrompt = null;
+    this.emitData(value === null ? '^C\r\n' : '\r\n');
+    prompt.resolve(value);
+  }
+
+  /**
+   * 写入输入：连接建立后发往远程 shell，之前只用于回答密码等提示
+   */
+  write(data) {
+    if (this.stream) {
+      this.stream.write(data);
+      return;
+    }
+
+    const prompt = this.pendingPrompt;
+    if (!prompt) return;
+
+    for (const char of data) {
+      if (char === '\r' || char === '\n') {
+        this.answerPrompt(prompt.value);
+        return;
+      }
+      if (char === '\x03') {
+        this.answerPrompt(null);
+        return;
+      }
+      if (char === '\x7f' || char === '\b') {
+        if (prompt.value) {
+          prompt.value = prompt.value.slice(0, -1);
+          if (prompt.echo) this.emitData('\b \b');
+        }
+      } else if (char >= ' ') {
+        prompt.value += char;
+        if (prompt.echo) this.emitData(char);
+      }
+    }
+  }
+
+  resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    this.stream?.setWindow(rows, cols, 0, 0);
+  }
+
+  pause() {
+    this.paused = true;
+    this.stream?.pause();
+  }
+
+  resume() {
+    this.paused = false;
+    this.stream?.resume();
+  }
+
+  /**
+   * 指定信号时发送到远程进程（是否支持取决于服务端），否则断开连接
+   */
+  kill(signal) {
+    if (this.exited) return;
+    if (signal && this.stream) {
+      this.stream.signal(String(signal).replace(/^SIG/, ''));
+      return;
+    }
+
+    this.answerPrompt(null);
+    this.stream?.close();
+    this.clients.forEach(client => client.end());
+    // 尚未打开 shell 时没有 close 事件，直接结束
+    if (!this.stream) this.finish(255);
+  }
+
+  finish(exitCode, signal) {
+    if (this.exited) return;
+    this.exited = true;
+
+    this.emitData(this.decoder.end());
+    this.clients.forEach(client => client.end());
+    this.exitListeners.forEach(listener => listener({ exitCode, signal }));
+  }
+}
+
+function describeTarget(profile) {
+  const target = `${profile.user}@${profile.host}${profile.port === 22 ? '' : `:${profile.port}`}`;
+  return profile.jumpHost ? `${target}（经 ${profile.jumpHost.host}）` : target;
+}
+
+// 配置了 key 时只用该私钥，否则使用 ~/.ssh 下存在的默认私钥
+function getKeyFiles(profile) {
+  if (profile.key) return [profile.key];
+  return DEFAULT_KEY_FILES
+    .map(name => path.join(os.homedir(), '.ssh', name))
+    .filter(file => fs.existsSync(file));
+}
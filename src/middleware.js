@@ -0,0 +1,27 @@
+import { defineMiddleware } from 'astro:middleware';
+import { loadConfig } from '../server/config.js';
+import { authenticateBasic } from '../server/auth.js';
+
+/**
+ * Require HTTP Basic authentication when users are configured in config.yaml (auth.users).
+ * Without configured users the app stays open, as on a single-user laptop.
+ */
+export const onRequest = defineMiddleware((context, next) => {
+    const users = loadConfig().auth?.users;
+
+    if (!users || Object.keys(users).length === 0) {
+        context.locals.user = 'local';
+        return next();
+    }
+
+    const user = authenticateBasic(context.request.headers.get('authorization'), users);
+    if (!user) {
+        return new Response('Authentication required', {
+            status: 401,
+            headers: { 'WWW-Authenticate': 'Basic realm="AI Terminal", charset="UTF-8"' }
+        });
+    }
+
+    context.locals.user = user;
+    return next();
+});
@@ -1,47 +1,13 @@
-import fs from 'fs';
-import path from 'path';
-import yaml from 'js-yaml';
-
-const aiConfigPath = path.join(process.cwd(), 'ai-config.yaml');
+import { loadAIConfig, redactAIConfig, saveAIConfig } from '../../../server/aiConfig.js';
 
+// AI settings from ai-config.yaml, with API tokens replaced by a placeholder so they never reach the browser
 export async function GET() {
     try {
-        if (!fs.existsSync(aiConfigPath)) {
-            // Create default AI config if it doesn't exist
-            const defaultAiConfig = {
-                ai: {
-                    serviceType: 'ollama',
-                    ollama: {
-                        host: 'http://localhost:11434',
-                        model: 'llama3.2:latest'
-                    },
-                    openai: {
-                        baseUrl: 'https://api.openai.com/v1',
-                        apiToken: '',
-                        model: 'gpt-3.5-turbo'
-                    },
-                    parameters: {
-                        temperature: 0.7,
-                        topP: 0.9,
-                        maxTokens: 512,
-                        systemPrompt: ''
-                    }
-                }
-            };
-            
-            const yamlStr = yaml.dump(defaultAiConfig);
-            fs.writeFileSync(aiConfigPath, yamlStr, 'utf8');
-            
-            return new Response(JSON.stringify(defaultAiConfig), {
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-
-        const fileContents = fs.readFileSync(aiConfigPath, 'utf8');
-        const config = yaml.load(fileContents);
-
-        return new Response(JSON.stringify(config), {
-            headers: { 'Content-Type': 'application/json' }
+        return new Response(JSON.stringify(redactAIConfig(loadAIConfig())), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
         });
     } catch (error) {
         console.error('Error reading AI config:', error);
@@ -52,32 +18,21 @@ export async function GET() {
     }
 }
 
+// Save AI settings; a token left as the placeholder keeps the saved token unless the service URL changed.
+// Environment variable references the server does not allow are rejected with 400
 export async function POST({ request }) {
     try {
         const config = await request.json();
-        
-        // Backup existing config
-        if (fs.existsSync(aiConfigPath)) {
-            const backupPath = `${aiConfigPath}.backup`;
-            fs.copyFileSync(aiConfigPath, backupPath);
-        }
-        
-        const yamlStr = yaml.dump(config, {
-            indent: 2,
-            quotingType: '"',
-            forceQuotes: false
-        });
-        
-        fs.writeFileSync(aiConfigPath, yamlStr, 'utf8');
-        
+        saveAIConfig(config);
+
         return new Response(JSON.stringify({ success: true }), {
             headers: { 'Content-Type': 'application/json' }
         });
     } catch (error) {
         console.error('Error saving AI config:', error);
-        return new Response(JSON.stringify({ error: 'Failed to save AI config' }), {
-            status: 500,
+        return new Response(JSON.stringify({ error: error.status ? error.message : 'Failed to save AI config' }), {
+            status: error.status || 500,
             headers: { 'Content-Type': 'application/json' }
         });
     }
-}
\ No newline at end of file
+}
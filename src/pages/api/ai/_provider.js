@@ -0,0 +1,56 @@
+import { loadAIConfig, loadResolvedAIConfig, resolveAISecrets, restoreRedactedTokens } from '../../../../server/aiConfig.js';
+import { configToSettings, resolveProfileSettings } from '../../../services/aiSettings.js';
+import { createProvider } from '../../../services/providers/index.js';
+
+// Shared by the AI proxy routes: providers run on the server so API tokens never leave it
+
+// Chat message roles accepted from the browser
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Create the provider for a profile from the saved ai-config.yaml.
+ * `profileId` null or undefined uses the active profile, '' the default configuration.
+ */
+export function createConfiguredProvider(profileId) {
+    const config = configToSettings(loadResolvedAIConfig());
+    const settings = resolveProfileSettings(config, profileId ?? config.activeProfile);
+    return { provider: createProvider(settings), settings };
+}
+
+/**
+ * Create a provider from unsaved settings (the settings form). Placeholder tokens and
+ * environment variable references are checked the same way as when saving.
+ */
+export function createUnsavedProvider(ai) {
+    const config = restoreRedactedTokens({ ai: structuredClone(ai) }, loadAIConfig());
+    return createProvider(configToSettings(resolveAISecrets(config)));
+}
+
+/**
+ * Check chat messages sent by the browser, returning them or null when malformed
+ */
+export function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) return null;
+
+    const valid = messages.every(message =>
+        message && MESSAGE_ROLES.includes(message.role) && typeof message.content === 'string');
+    return valid ? messages.map(({ role, content }) => ({ role, content })) : null;
+}
+
+export function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+/**
+ * Provider failures are reported as 502 so an upstream 401 is not mistaken for this app's auth
+ */
+export function providerErrorResponse(error, action) {
+    console.error(`Error ${action}:`, error);
+    return jsonResponse({ error: error.message || `Failed ${action}` }, 502);
+}
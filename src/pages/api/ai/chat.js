@@ -0,0 +1,74 @@
+import { createConfiguredProvider, jsonResponse, providerErrorResponse, validateMessages } from './_provider.js';
+
+/**
+ * Send chat messages to a profile's provider. The model and parameters come from ai-config.yaml.
+ * With `stream: true` the reply is streamed as NDJSON lines: { token } per chunk, or { error }.
+ */
+export async function POST({ request }) {
+    let provider;
+    let settings;
+    let messages;
+    let stream;
+    try {
+        const body = await request.json();
+        messages = validateMessages(body.messages);
+        if (!messages) {
+            return jsonResponse({ error: 'messages must be a non-empty array of { role, content }' }, 400);
+        }
+        ({ provider, settings } = createConfiguredProvider(body.profile));
+        stream = Boolean(body.stream);
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+    }
+
+    // Stop the upstream request when the browser goes away
+    const abortController = new AbortController();
+    request.signal?.addEventListener('abort', () => abortController.abort());
+
+    const parameters = {
+        signal: abortController.signal,
+        temperature: settings.temperature,
+        topP: settings.topP,
+        maxTokens: settings.maxTokens
+    };
+
+    if (!stream) {
+        try {
+            return jsonResponse({ response: await provider.chat(messages, parameters) });
+        } catch (error) {
+            return providerErrorResponse(error, `calling ${provider.label}`);
+        }
+    }
+
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            const send = (line) => controller.enqueue(encoder.encode(`${JSON.stringify(line)}\n`));
+
+            try {
+                await provider.stream(messages, parameters, (token) => send({ token }));
+            } catch (error) {
+                if (error.name !== 'AbortError' && !abortController.signal.aborted) {
+                    console.error(`Error streaming from ${provider.label}:`, error);
+                    send({ error: error.message });
+                }
+            }
+
+            try {
+                controller.close();
+            } catch {
+                // Already cancelled by the browser
+            }
+        },
+        cancel() {
+            abortController.abort();
+        }
+    });
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'application/x-ndjson',
+            'Cache-Control': 'no-store'
+        }
+    });
+}
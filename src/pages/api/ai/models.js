@@ -0,0 +1,17 @@
+import { createConfiguredProvider, jsonResponse, providerErrorResponse } from './_provider.js';
+
+// Models available from a profile's provider (?profile=, the active profile when omitted)
+export async function GET({ url }) {
+    let provider;
+    try {
+        provider = createConfiguredProvider(url.searchParams.get('profile')).provider;
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+    }
+
+    try {
+        return jsonResponse({ models: await provider.listModels() });
+    } catch (error) {
+        return providerErrorResponse(error, `listing ${provider.label} models`);
+    }
+}
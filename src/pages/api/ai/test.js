@@ -0,0 +1,19 @@
+import { createConfiguredProvider, createUnsavedProvider, jsonResponse, providerErrorResponse } from './_provider.js';
+
+// Test the connection of a profile, or of unsaved settings from the settings form ({ ai })
+export async function POST({ request }) {
+    let provider;
+    try {
+        const body = await request.json();
+        provider = body.ai ? createUnsavedProvider(body.ai) : createConfiguredProvider(body.profile).provider;
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+    }
+
+    try {
+        await provider.testConnection();
+        return jsonResponse({ success: true, label: provider.label });
+    } catch (error) {
+        return providerErrorResponse(error, `testing ${provider.label} connection`);
+    }
+}
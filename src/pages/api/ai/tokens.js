@@ -0,0 +1,23 @@
+import { createConfiguredProvider, jsonResponse, providerErrorResponse, validateMessages } from './_provider.js';
+
+// Count the tokens of chat messages with a profile's provider
+export async function POST({ request }) {
+    let provider;
+    let messages;
+    try {
+        const body = await request.json();
+        messages = validateMessages(body.messages);
+        if (!messages) {
+            return jsonResponse({ error: 'messages must be a non-empty array of { role, content }' }, 400);
+        }
+        provider = createConfiguredProvider(body.profile).provider;
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+    }
+
+    try {
+        return jsonResponse({ tokens: await provider.countTokens(messages) });
+    } catch (error) {
+        return providerErrorResponse(error, `counting ${provider.label} tokens`);
+    }
+}
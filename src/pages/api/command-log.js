@@ -0,0 +1,57 @@
+import { appendCommandLog, readCommandLog } from '../../../server/commandLog.js';
+
+// Recent AI-suggested commands the user inserted into a terminal, and whether they ran
+export async function GET({ url, locals }) {
+    try {
+        const limit = parseInt(url.searchParams.get('limit'), 10) || 100;
+
+        return new Response(JSON.stringify({ entries: readCommandLog(locals.user || 'local', limit) }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        console.error('Error reading command log:', error);
+        return new Response(JSON.stringify({ error: 'Failed to read command log' }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Record an AI-suggested command together with the chat entry it came from
+export async function POST({ request, locals }) {
+    try {
+        const body = await request.json();
+
+        if (typeof body.command !== 'string' || !body.command) {
+            return new Response(JSON.stringify({ error: 'command is required' }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        appendCommandLog({
+            timestamp: new Date().toISOString(),
+            user: locals.user || 'local',
+            entryId: body.entryId || null,
+            suggested: String(body.suggested || body.command),
+            command: body.command,
+            edited: Boolean(body.suggested) && body.suggested !== body.command,
+            exitCode: Number.isInteger(body.exitCode) ? body.exitCode : null,
+            // false when the terminal has no shell integration to tell whether the command ran
+            executed: body.executed !== false,
+            terminalId: body.terminalId || null,
+            dangerous: Array.isArray(body.dangerous) ? body.dangerous.map(String) : [],
+            confirmed: Boolean(body.confirmed)
+        });
+
+        return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        console.error('Error writing command log:', error);
+        return new Response(JSON.stringify({ error: 'Failed to write command log' }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
@@ -4,6 +4,9 @@ import yaml from 'js-yaml';
 
 const configPath = path.join(process.cwd(), 'config.yaml');
 
+// Credentials, the origin allow-list and the environment variables AI tokens may reference
+const SERVER_ONLY_SECTIONS = ['auth', 'aiSecrets'];
+
 export async function GET() {
     try {
         if (!fs.existsSync(configPath)) {
@@ -24,13 +27,108 @@ export async function GET() {
                 advanced: {
                     scrollbackLines: 1000,
                     gpuAcceleration: true
+                },
+                profiles: {
+                    'bash-login': {
+                        name: 'Bash (login)',
+                        command: '/bin/bash',
+                        args: ['-l']
+                    },
+                    'python': {
+                        name: 'Python REPL',
+                        command: 'python3'
+                    },
+                    'node-test': {
+                        name: 'Node (test)',
+                        command: 'node',
+                        env: { NODE_ENV: 'test' }
+                    },
+                    // SSH hosts: type ssh with host, port, user, key (private key path) and
+                    // jumpHost (id of another ssh profile). Without a key, ssh-agent and
+                    // ~/.ssh/id_* are tried, then a password is asked for in the terminal.
+                    // This one connects to the test server started by `npm run mock:ssh`
+                    'ssh-local': {
+                        name: 'SSH (local test server)',
+                        type: 'ssh',
+                        host: 'localhost',
+                        port: 2222,
+                        user: 'test'
+                    }
+                },
+                ssh: {
+                    // Host keys accepted from the terminal; defaults to ~/.ssh/known_hosts
+                    knownHostsFile: ''
+                },
+                docker: {
+                    // Container tabs talk to the Docker Engine socket directly. Access to it
+                    // is equivalent to root on the host, so turn this off where that matters
+                    enabled: true,
+                    socketPath: '/var/run/docker.sock'
+                },
+                fileTransfer: {
+                    // Files dropped on a tab are uploaded into the shell's working directory;
+                    // `xt-download <file>` (defined by shell integration) saves a file in the browser
+                    enabled: true,
+                    // Size limits in MB
+                    maxUploadSize: 100,
+                    maxDownloadSize: 100,
+                    // Only paths below these directories (after resolving symlinks) can be read or written
+                    roots: ['~']
+                },
+                shellIntegration: {
+                    // Inject OSC 133 prompt/command marks into bash, zsh and fish
+                    enabled: true
+                },
+                commandSafety: {
+                    // AI-suggested commands that were run, with their chat entry id
+                    logFile: 'logs/ai-commands.jsonl',
+                    // Extra danger rules ({ id, pattern, description }); reuse a built-in id
+                    // (rm-rf, dd, mkfs, pipe-to-shell, chmod-777, force-push) to override it
+                    rules: []
+                },
+                limits: {
+                    // Session quotas; 0 means unlimited
+                    maxSessions: 50,
+                    maxSessionsPerUser: 20,
+                    // End sessions without input or a client connecting for this many seconds
+                    // (0 disables; output alone does not count), warning the client idleWarning seconds before
+                    idleTimeout: 0,
+                    idleWarning: 60,
+                    // Bytes per second per session before the PTY is throttled
+                    maxOutputRate: 2097152,
+                    // Per-process caps applied with ulimit: memory in MB, cpu in seconds
+                    rlimits: {
+                        memory: 0,
+                        cpu: 0
+                    }
+                },
+                sharing: {
+                    // PTY size when viewers' windows differ: 'smallest' fits every viewer,
+                    // 'owner' follows the session owner's window
+                    resizePolicy: 'smallest'
+                },
+                recording: {
+                    // Record every new session as an asciinema v2 .cast file
+                    enabled: false,
+                    directory: 'recordings'
+                },
+                auth: {
+                    // Pages allowed to open the terminal WebSocket
+                    allowedOrigins: ['http://localhost:4321', 'http://127.0.0.1:4321'],
+                    // username: password pairs; leave empty to disable login
+                    users: {}
+                },
+                aiSecrets: {
+                    // Environment variables the AI settings may reference as ${NAME}, besides
+                    // names ending in _API_KEY or _API_TOKEN
+                    allowedEnvVars: []
                 }
             };
             
             const yamlStr = yaml.dump(defaultConfig);
             fs.writeFileSync(configPath, yamlStr, 'utf8');
             
-            return new Response(JSON.stringify(defaultConfig), {
+            return new Response(JSON.stringify(toPublicConfig(defaultConfig)), {
                 headers: { 'Content-Type': 'application/json' }
             });
         }
@@ -38,7 +136,7 @@ export async function GET() {
         const fileContents = fs.readFileSync(configPath, 'utf8');
         const config = yaml.load(fileContents);
 
-        return new Response(JSON.stringify(config), {
+        return new Response(JSON.stringify(toPublicConfig(config)), {
             headers: { 'Content-Type': 'application/json' }
         });
     } catch (error) {
@@ -58,6 +156,15 @@ export async function POST({ request }) {
         if (fs.existsSync(configPath)) {
             const backupPath = `${configPath}.backup`;
             fs.copyFileSync(configPath, backupPath);
+
+            // Server-only settings are only editable on disk, keep them as they are
+            const existing = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+            SERVER_ONLY_SECTIONS.forEach((section) => {
+                delete config[section];
+                if (existing[section]) {
+                    config[section] = existing[section];
+                }
+            });
         }
         
         const yamlStr = yaml.dump(config, {
@@ -79,3 +186,10 @@ export async function POST({ request }) {
         });
     }
 }
+
+// Strip server-only sections before sending config to the browser
+function toPublicConfig(config) {
+    const publicConfig = { ...config };
+    SERVER_ONLY_SECTIONS.forEach(section => delete publicConfig[section]);
+    return publicConfig;
+}
@@ -0,0 +1,22 @@
+import { isDockerAvailable, listContainers } from '../../../server/docker.js';
+
+// Running local containers for the new tab menu; `available` is false without a Docker socket
+export async function GET() {
+    if (!isDockerAvailable()) {
+        return new Response(JSON.stringify({ available: false, containers: [] }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    try {
+        return new Response(JSON.stringify({ available: true, containers: await listContainers() }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        console.error('Error listing containers:', error);
+        return new Response(JSON.stringify({ available: true, containers: [], error: error.message }), {
+            status: 502,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import { resolveRecordingPath } from '../../../../server/recorder.js';
+
+// Download a single recording; the name is validated so only files in the recordings directory are served,
+// and only to the user whose session was recorded
+export async function GET({ params, locals }) {
+    try {
+        const filePath = resolveRecordingPath(params.name, locals.user || 'local');
+        if (!filePath) {
+            return new Response(JSON.stringify({ error: 'Recording not found' }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        return new Response(fs.readFileSync(filePath, 'utf8'), {
+            headers: {
+                'Content-Type': 'application/x-asciicast',
+                'Content-Disposition': `attachment; filename="${params.name}"`
+            }
+        });
+    } catch (error) {
+        console.error('Error reading recording:', error);
+        return new Response(JSON.stringify({ error: 'Failed to read recording' }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
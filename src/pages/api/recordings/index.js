@@ -0,0 +1,16 @@
+import { listRecordings } from '../../../../server/recorder.js';
+
+// List the user's recorded terminal sessions (asciinema v2 .cast files)
+export async function GET({ locals }) {
+    try {
+        return new Response(JSON.stringify({ recordings: listRecordings(locals.user || 'local') }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        console.error('Error listing recordings:', error);
+        return new Response(JSON.stringify({ error: 'Failed to list recordings' }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
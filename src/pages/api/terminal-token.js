@@ -0,0 +1,21 @@
+import { createTerminalToken } from '../../../server/auth.js';
+
+// Issue a short-lived, single-use token for connecting to the terminal WebSocket server
+export async function GET({ locals }) {
+    try {
+        const token = createTerminalToken(locals.user || 'local');
+
+        return new Response(JSON.stringify({ token }), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        console.error('Error issuing terminal token:', error);
+        return new Response(JSON.stringify({ error: 'Failed to issue terminal token' }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
@@ -3,10 +3,22 @@
  * This script contains the complete AI functionality implementation
  */
 
+import { CONTEXT_SOURCES, getTerminalContext } from './terminalContext.js';
+import { getCommandTracker } from './commandBlocks.js';
+import { buildDangerRules, findDangerousPatterns } from './commandSafety.js';
+
 // Import AI services (dynamic imports will be handled by main script)
 let aiService = null;
 let chatManager = null;
 
+// Abort controller of the response currently being streamed
+let currentAbortController = null;
+// Latest streamed text waiting for the next animation frame
+let pendingStreamRender = null;
+
+// Danger rules for AI-suggested commands (built-in rules merged with config.yaml)
+let dangerRules = buildDangerRules();
+
 /**
  * Initialize AI services
  */
@@ -21,6 +33,8 @@ export async function initializeAIServices() {
 		aiService = ai;
 		chatManager = chat;
 
+		await loadDangerRules();
+
 		// Make available globally
 		window.aiService = aiService;
 		window.chatManager = chatManager;
@@ -38,31 +52,24 @@ export async function initializeAIServices() {
 export async function initializeAIStatus() {
 	const statusDot = document.getElementById('status-dot');
 	const statusText = document.getElementById('status-text');
-	const modelDisplay = document.getElementById('current-model-display');
 	const aiInput = document.getElementById('ai-input');
 	const sendBtn = document.getElementById('send-ai');
 
+	// Shown even when the connection fails, so a broken profile can be switched away from
+	updateModelDisplay();
+
 	try {
-		// Test Ollama connection
+		// Test connection to the active profile's provider
 		await aiService.testConnection();
 
 		// Update status to connected
 		if (statusDot) statusDot.textContent = '🟢';
 		if (statusText) statusText.textContent = 'Connected';
 
-		// Update model display based on service type
-		const settings = aiService.getSettings();
-		if (modelDisplay) {
-			if (settings.aiServiceType === 'ollama') {
-				modelDisplay.textContent = settings.currentModel;
-			} else {
-				modelDisplay.textContent = settings.openaiModel;
-			}
-		}
-
 		// Enable input box
 		if (aiInput) aiInput.disabled = false;
 		if (sendBtn) sendBtn.disabled = false;
+		setExplainButtonEnabled(true);
 
 		console.log('✅ AI service initialized successfully');
 		return true;
@@ -79,10 +86,15 @@ export async function initializeAIStatus() {
 			aiInput.placeholder = 'AI service unavailable. Check configuration in settings.';
 		}
 		if (sendBtn) sendBtn.disabled = true;
+		setExplainButtonEnabled(false);
 
 		// Show error message
-		const settings = aiService ? aiService.getSettings() : { aiServiceType: 'ollama' };
-		const serviceName = settings.aiServiceType === 'ollama' ? 'Ollama' : 'OpenAI API';
+		let serviceName = 'the AI service';
+		try {
+			serviceName = aiService.getProvider().label;
+		} catch {
+			// Unknown service type, the error above already says so
+		}
 		addAIMessage('System', `Could not connect to ${serviceName}. Please check your configuration in settings and try again.`, {
 			isSystem: true,
 			isError: true
@@ -92,6 +104,49 @@ export async function initializeAIStatus() {
 	}
 }
 
+/**
+ * Show the model of the active profile and list the profiles in the picker
+ */
+export function updateModelDisplay() {
+	const modelDisplay = document.getElementById('current-model-display');
+	const picker = document.getElementById('ai-profile-select');
+	if (!aiService) return;
+
+	try {
+		const provider = aiService.getProvider();
+		if (modelDisplay) modelDisplay.textContent = provider.model || provider.label;
+	} catch (error) {
+		if (modelDisplay) modelDisplay.textContent = 'Unknown service';
+	}
+
+	if (!picker) return;
+
+	const profiles = aiService.getProfiles();
+	const options = [{ id: '', name: 'Default' }, ...profiles].map(profile => {
+		const option = document.createElement('option');
+		option.value = profile.id;
+		option.textContent = profile.name;
+		return option;
+	});
+	picker.replaceChildren(...options);
+	picker.value = aiService.getProfile()?.id || '';
+	picker.hidden = profiles.length === 0;
+}
+
+/**
+ * Switch profile from the picker and reconnect with it
+ */
+async function switchProfile(profileId) {
+	try {
+		await aiService.setActiveProfile(profileId);
+		const answeredBy = aiService.describeProfile();
+		addAIMessage('System', `Switched to profile ${answeredBy.name} (${answeredBy.provider}, ${answeredBy.model})`, { isSystem: true });
+	} catch (error) {
+		addAIMessage('System', `Error: ${error.message}`, { isSystem: true, isError: true });
+	}
+	await initializeAIStatus();
+}
+
 /**
  * Setup AI event listeners
  */
@@ -110,7 +165,22 @@ export function setupAIEventListeners() {
 	}
 
 	if (sendBtn) {
-		sendBtn.addEventListener('click', handleAIInput);
+		sendBtn.addEventListener('click', () => handleAIInput());
+	}
+
+	const explainBtn = document.getElementById('explain-error');
+	if (explainBtn) {
+		explainBtn.addEventListener('click', explainLastError);
+	}
+
+	const stopBtn = document.getElementById('stop-ai');
+	if (stopBtn) {
+		stopBtn.addEventListener('click', stopAIResponse);
+	}
+
+	const profilePicker = document.getElementById('ai-profile-select');
+	if (profilePicker) {
+		profilePicker.addEventListener('change', () => switchProfile(profilePicker.value));
 	}
 
 	// 确保滚动条正确初始化
@@ -175,8 +245,10 @@ function hideTypingIndicator() {
 
 /**
  * Handle AI input and generate response
+ * `request.message` sends a prepared message instead of the input box text,
+ * `request.terminalContext` attaches prepared terminal output instead of the picker selection.
  */
-export async function handleAIInput() {
+export async function handleAIInput(request = {}) {
 	const aiInput = document.getElementById('ai-input');
 	const sendBtn = document.getElementById('send-ai');
 	const typingIndicator = document.getElementById('typing-indicator');
@@ -186,17 +258,26 @@ export async function handleAIInput() {
 		return;
 	}
 
-	const message = aiInput.value.trim();
+	const message = request.message || aiInput.value.trim();
 	if (!message) return;
 
 	// Clear input box
-	aiInput.value = '';
+	if (!request.message) aiInput.value = '';
+
+	// Attach terminal output chosen in the context picker (slash commands never get it)
+	const contextSource = message.startsWith('/') || request.terminalContext ? '' : getSelectedContextSource();
+	const terminalContext = request.terminalContext || collectTerminalContext(contextSource);
 
 	// Show user message
-	addAIMessage('🚀', message, { isUser: true });
+	addAIMessage('🚀', message, { isUser: true, attachment: terminalContext?.label });
+
+	if (contextSource && !terminalContext) {
+		addAIMessage('System', `No ${CONTEXT_SOURCES[contextSource].toLowerCase()} found in the active terminal; sending without it.`, { isSystem: true });
+	}
 
 	// Set loading state - show typing in input box and indicator
 	if (sendBtn) sendBtn.disabled = true;
+	setExplainButtonEnabled(false);
 	if (aiInput) {
 		aiInput.disabled = true;
 		aiInput.classList.add('typing');
@@ -205,8 +286,17 @@ export async function handleAIInput() {
 
 	// Typing indicator removed - only show in input placeholder
 
+	let messageBlock = null;
+	let partialResponse = '';
+
+	// Known up front so command blocks can reference their chat entry while streaming
+	const entryId = chatManager.generateId();
+	// Profile that answers, recorded with the chat entry (slash commands have none)
+	let answeredBy = null;
+
 	try {
 		let response;
+		let stopped = false;
 
 		// Handle special commands
 		if (message.startsWith('/')) {
@@ -222,9 +312,37 @@ export async function handleAIInput() {
 				return;
 			}
 			response = await aiService.handleSpecialCommand(message);
+			// Commands like /profile and /model change what the status bar shows
+			updateModelDisplay();
 		} else {
-			// Regular AI conversation
-			response = await aiService.generateResponse(message);
+			// Regular AI conversation, rendered incrementally as tokens stream in
+			answeredBy = aiService.describeProfile();
+			messageBlock = addAIMessage('🤖', '', { isAI: true, isStreaming: true, entryId: entryId, answeredBy: answeredBy });
+			currentAbortController = new AbortController();
+			setStopButtonVisible(true);
+
+			try {
+				// Answer with the profile active when the message was sent, even if it is switched meanwhile
+				const profile = answeredBy.profile || '';
+				const context = await buildConversationContext(currentAbortController.signal, profile);
+				response = await aiService.generateResponse(message, {
+					...context,
+					profile: profile,
+					terminalContext: terminalContext,
+					cwd: getActiveTerminalCwd(),
+					signal: currentAbortController.signal,
+					onToken: (token, fullText) => {
+						partialResponse = fullText;
+						scheduleStreamingRender(messageBlock, fullText);
+					}
+				});
+			} catch (error) {
+				if (error.name !== 'AbortError') throw error;
+
+				// Keep whatever arrived before the user pressed Stop
+				response = partialResponse;
+				stopped = true;
+			}
 		}
 
 		// Parse response for commands
@@ -233,24 +351,45 @@ export async function handleAIInput() {
 
 		// Show AI response
 		const isCommand = chatManager.hasCommands(response);
-		addAIMessage('🤖', processedResponse.response, {
-			isAI: true,
-			isCommand: isCommand,
-			codeBlocks: processedResponse.codeBlocks
-		});
+		if (messageBlock) {
+			finalizeStreamingMessage(messageBlock, processedResponse, stopped);
+		} else {
+			addAIMessage('🤖', processedResponse.response, {
+				isAI: true,
+				isCommand: isCommand,
+				codeBlocks: processedResponse.codeBlocks,
+				entryId: entryId
+			});
+		}
 
 		// Save to chat history
 		chatManager.addMessage(message, response, {
+			id: entryId,
 			isCommand: isCommand,
-			codeBlocks: processedResponse.codeBlocks
+			codeBlocks: processedResponse.codeBlocks,
+			...(answeredBy ? { profile: answeredBy } : {}),
+			...(terminalContext ? { attachment: terminalContext.label } : {}),
+			...(stopped ? { status: 'stopped' } : {})
 		});
 
 	} catch (error) {
 		console.error('AI request failed:', error);
+
+		// Drop the streaming placeholder if nothing arrived before the failure
+		if (messageBlock && !partialResponse) {
+			messageBlock.remove();
+		} else if (messageBlock) {
+			finalizeStreamingMessage(messageBlock, chatManager.processAIResponse(partialResponse), false);
+		}
+
 		addAIMessage('System', `Error: ${error.message}`, { isSystem: true, isError: true });
 	} finally {
+		currentAbortController = null;
+		setStopButtonVisible(false);
+
 		// Restore UI state
 		if (sendBtn) sendBtn.disabled = false;
+		setExplainButtonEnabled(true);
 		if (aiInput) {
 			aiInput.disabled = false;
 			aiInput.classList.remove('typing');
@@ -260,6 +399,185 @@ export async function handleAIInput() {
 	}
 }
 
+/**
+ * Ask the AI to explain the output of the last command in the active terminal
+ */
+export async function explainLastError() {
+	if (!aiService || !chatManager) return;
+
+	// Without a recorded command boundary fall back to the last lines on screen
+	const terminalContext = collectTerminalContext('command') || collectTerminalContext('lines');
+	if (!terminalContext) {
+		addAIMessage('System', 'The active terminal has no output to explain.', { isSystem: true });
+		return;
+	}
+
+	await handleAIInput({
+		message: 'Explain the error in this terminal output and suggest how to fix it.',
+		terminalContext: terminalContext
+	});
+}
+
+/**
+ * Get the context source selected in the picker ('' when nothing should be attached)
+ */
+function getSelectedContextSource() {
+	const picker = document.getElementById('ai-context-source');
+	return picker ? picker.value : '';
+}
+
+/**
+ * Working directory of the shell in the active terminal, or null while it is unknown
+ */
+function getActiveTerminalCwd() {
+	return window.paneCwds?.get(window.activePaneId) || null;
+}
+
+/**
+ * Read the active terminal for a context source, returning { source, label, text } or null when empty
+ */
+function collectTerminalContext(source) {
+	if (!source || !CONTEXT_SOURCES[source] || typeof window.terminals === 'undefined') return null;
+
+	const terminal = window.terminals.get(window.activePaneId);
+	const lineCount = aiService.getSettings().contextTerminalLines;
+	const text = getTerminalContext(terminal, source, lineCount);
+	if (!text) return null;
+
+	return {
+		source: source,
+		label: source === 'lines' ? `last ${lineCount} lines` : CONTEXT_SOURCES[source].toLowerCase(),
+		text: text
+	};
+}
+
+/**
+ * Enable or disable the "Explain last error" action
+ */
+function setExplainButtonEnabled(enabled) {
+	const explainBtn = document.getElementById('explain-error');
+	if (explainBtn) explainBtn.disabled = !enabled;
+}
+
+/**
+ * Collect earlier turns that fit the configured context window, summarizing the ones that no longer fit
+ */
+async function buildConversationContext(signal, profile) {
+	const settings = aiService.getSettings();
+	const budget = {
+		mode: settings.contextMode,
+		maxTurns: settings.contextMaxTurns,
+		maxTokens: settings.contextMaxTokens,
+		estimateTokens: (text) => aiService.estimateTokens(text)
+	};
+
+	let contextWindow = chatManager.getContextWindow(budget);
+	let summary = contextWindow.summary;
+
+	if (contextWindow.overflow.length > 0 && settings.contextSummarize) {
+		// Fold down to half the budget so the summary is not regenerated on every message
+		contextWindow = chatManager.getContextWindow({
+			...budget,
+			maxTurns: Math.ceil(budget.maxTurns / 2),
+			maxTokens: Math.floor(budget.maxTokens / 2)
+		});
+
+		try {
+			summary = await aiService.summarizeConversation(contextWindow.overflow, summary, { signal, profile });
+			const lastSummarized = contextWindow.overflow[contextWindow.overflow.length - 1];
+			chatManager.setContextSummary(summary, lastSummarized.id);
+		} catch (error) {
+			if (error.name === 'AbortError') throw error;
+
+			// Older turns are simply dropped when summarization fails
+			console.warn('Failed to summarize earlier conversation:', error);
+		}
+	}
+
+	return {
+		summary: summary,
+		history: chatManager.toContextMessages(contextWindow.turns)
+	};
+}
+
+/**
+ * Abort the response that is currently being streamed
+ */
+export function stopAIResponse() {
+	if (currentAbortController) {
+		currentAbortController.abort();
+	}
+}
+
+/**
+ * Swap the send button for the stop button while a response is streaming
+ */
+function setStopButtonVisible(visible) {
+	const sendBtn = document.getElementById('send-ai');
+	const stopBtn = document.getElementById('stop-ai');
+
+	if (sendBtn) sendBtn.style.display = visible ? 'none' : '';
+	if (stopBtn) stopBtn.style.display = visible ? '' : 'none';
+}
+
+/**
+ * Render streamed text at most once per animation frame
+ */
+function scheduleStreamingRender(messageBlock, text) {
+	const alreadyScheduled = pendingStreamRender !== null;
+	pendingStreamRender = text;
+	if (alreadyScheduled) return;
+
+	requestAnimationFrame(() => {
+		const latest = pendingStreamRender;
+		pendingStreamRender = null;
+		if (latest !== null && messageBlock.classList.contains('streaming')) {
+			renderStreamingMessage(messageBlock, latest);
+		}
+	});
+}
+
+/**
+ * Re-render a streaming message; command blocks become clickable once their closing backticks arrive
+ */
+function renderStreamingMessage(messageBlock, text) {
+	const messageText = messageBlock.querySelector('.message-text');
+	const messagesContainer = document.getElementById('ai-messages');
+	if (!messageText) return;
+
+	// Only follow the stream when the user has not scrolled up
+	const stickToBottom = messagesContainer &&
+		messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+
+	const processed = chatManager.processAIResponse(text);
+	renderMessageContent(messageText, processed.response, processed.codeBlocks);
+	setupCommandButtons(messageBlock);
+
+	if (stickToBottom) {
+		messagesContainer.scrollTop = messagesContainer.scrollHeight;
+	}
+}
+
+/**
+ * Render the final content of a streamed message
+ */
+function finalizeStreamingMessage(messageBlock, processedResponse, stopped) {
+	pendingStreamRender = null;
+	messageBlock.classList.remove('streaming');
+
+	const messageText = messageBlock.querySelector('.message-text');
+	if (messageText) {
+		renderMessageContent(messageText, processedResponse.response, processedResponse.codeBlocks);
+		if (stopped) {
+			const note = document.createElement('div');
+			note.className = 'stopped-note';
+			note.textContent = '(stopped)';
+			messageText.appendChild(note);
+		}
+	}
+	setupCommandButtons(messageBlock);
+}
+
 /**
  * Add AI message to chat (Warp-style block layout)
  */
@@ -287,6 +605,15 @@ export function addAIMessage(sender, content, options = {}) {
 		messageBlock.classList.add('processing');
 	}
 
+	if (options.isStreaming) {
+		messageBlock.classList.add('streaming');
+	}
+
+	// Chat entry the message belongs to, logged with any command run from it
+	if (options.entryId) {
+		messageBlock.dataset.entryId = options.entryId;
+	}
+
 	// Create message header
 	const messageHeader = document.createElement('div');
 	messageHeader.className = 'message-header';
@@ -311,6 +638,16 @@ export function addAIMessage(sender, content, options = {}) {
 
 	messageHeader.appendChild(avatar);
 	messageHeader.appendChild(senderName);
+
+	// Profile and model that answered
+	if (options.answeredBy) {
+		const profileTag = document.createElement('span');
+		profileTag.className = 'message-profile';
+		profileTag.textContent = `${options.answeredBy.name} · ${options.answeredBy.model}`;
+		profileTag.title = `Answered by profile ${options.answeredBy.name} (${options.answeredBy.provider}, ${options.answeredBy.model})`;
+		messageHeader.appendChild(profileTag);
+	}
+
 	messageHeader.appendChild(timestamp);
 
 	// Add copy button for all messages in header
@@ -334,23 +671,18 @@ export function addAIMessage(sender, content, options = {}) {
 	const messageText = document.createElement('div');
 	messageText.className = 'message-text';
 
-	// Handle AI response with code blocks
-	if (options.codeBlocks && options.codeBlocks.length > 0) {
-		let processedContent = content;
+	renderMessageContent(messageText, content, options.codeBlocks);
 
-		options.codeBlocks.forEach((block, index) => {
-			const placeholder = `<code-block-${index}></code-block-${index}>`;
-			const commandBlock = createCommandBlock(block.code, block.explanation);
-			processedContent = processedContent.replace(placeholder, commandBlock);
-		});
+	messageBody.appendChild(messageText);
 
-		messageText.innerHTML = processedContent.trim();
-	} else {
-		messageText.innerHTML = formatTextResponse(content);
+	// Note which terminal output was sent along with the message
+	if (options.attachment) {
+		const attachment = document.createElement('div');
+		attachment.className = 'message-attachment';
+		attachment.textContent = `📎 Terminal output: ${options.attachment}`;
+		messageBody.appendChild(attachment);
 	}
 
-	messageBody.appendChild(messageText);
-
 	// Assemble the message block
 	messageBlock.appendChild(messageHeader);
 	messageBlock.appendChild(messageBody);
@@ -375,14 +707,36 @@ export function addAIMessage(sender, content, options = {}) {
 	return messageBlock; // 返回创建的元素，方便后续操作
 }
 
+/**
+ * Render message text, replacing code block placeholders with command blocks
+ */
+function renderMessageContent(messageText, content, codeBlocks) {
+	// Handle AI response with code blocks
+	if (codeBlocks && codeBlocks.length > 0) {
+		let processedContent = content;
+
+		codeBlocks.forEach((block, index) => {
+			const placeholder = `<code-block-${index}></code-block-${index}>`;
+			const commandBlock = createCommandBlock(block.code, block.explanation);
+			processedContent = processedContent.replace(placeholder, commandBlock);
+		});
+
+		messageText.innerHTML = processedContent.trim();
+	} else {
+		messageText.innerHTML = formatTextResponse(content);
+	}
+}
+
 /**
  * Create command block HTML
  */
 function createCommandBlock(command, explanation) {
 	const blockId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+	const dangers = findDangerousPatterns(command, dangerRules);
+	const dangerTitle = dangers.map(rule => rule.description || rule.id).join('; ');
 
 	return `
-		<div class="command-block" data-block-id="${blockId}">
+		<div class="command-block${dangers.length > 0 ? ' dangerous' : ''}" data-block-id="${blockId}"${dangers.length > 0 ? ` title="⚠️ ${escapeHtml(dangerTitle)}"` : ''}>
 			<div class="command-content">
 				<div class="simple-command">
 					<span class="command-text">${escapeHtml(command)}</span>
@@ -393,7 +747,7 @@ function createCommandBlock(command, explanation) {
 								<path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
 							</svg>
 						</button>
-						<button class="command-action-button run-command" data-command="${escapeHtml(command)}" title="Run">
+						<button class="command-action-button run-command" data-command="${escapeHtml(command)}" title="Insert into terminal (press Enter to run)">
 							<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
 								<polygon points="5 3 19 12 5 21 5 3"></polygon>
 							</svg>
@@ -455,12 +809,14 @@ export function setupCommandButtons(container = document) {
 	// Run command buttons
 	const runBtns = container.querySelectorAll('.run-command');
 	runBtns.forEach(btn => {
-		btn.addEventListener('click', (e) => {
+		btn.addEventListener('click', async (e) => {
 			e.preventDefault();
 			const command = btn.dataset.command;
 			if (command) {
-				executeCommandInTerminal(command);
-				showButtonFeedback(btn, '✅', 'run');
+				const entryId = btn.closest('.message-block')?.dataset.entryId || null;
+				if (await insertCommandIntoTerminal(command, entryId)) {
+					showButtonFeedback(btn, '✅', 'run');
+				}
 			}
 		});
 	});
@@ -480,26 +836,171 @@ export function setupCommandButtons(container = document) {
 }
 
 /**
- * Execute command in terminal
+ * Load danger rules from config.yaml (commandSafety.rules), keeping the built-in rules on failure
  */
-function executeCommandInTerminal(command) {
-	// Check if terminal globals are available
-	if (typeof window.websockets !== 'undefined' && typeof window.activeTabId !== 'undefined') {
-		const websocket = window.websockets.get(window.activeTabId);
-		if (websocket && websocket.readyState === WebSocket.OPEN) {
-			const commandWithNewline = command + '\n';
-			websocket.send(JSON.stringify({
-				type: 'input',
-				data: commandWithNewline
-			}));
-		} else {
-			console.warn('Terminal WebSocket connection not available');
-		}
-	} else {
+async function loadDangerRules() {
+	try {
+		const response = await fetch('/api/config');
+		const config = await response.json();
+		dangerRules = buildDangerRules(config.commandSafety?.rules);
+	} catch (error) {
+		console.warn('Failed to load command safety rules, using defaults:', error);
+	}
+	return dangerRules;
+}
+
+/**
+ * Insert an AI-suggested command into the active terminal without pressing Enter,
+ * so the user can review and edit it. Dangerous commands need confirmation first.
+ * The command goes to the active pane only, even with synchronized input on.
+ * Resolves with whether the command was inserted.
+ */
+async function insertCommandIntoTerminal(command, entryId) {
+	const paneId = window.activePaneId;
+	const terminal = typeof window.terminals !== 'undefined' ? window.terminals.get(paneId) : null;
+	if (!terminal || typeof window.pasteToPane !== 'function') {
 		console.warn('Terminal globals not available. Make sure terminal is initialized.');
+		return false;
+	}
+
+	// Pasted text only stays unexecuted in bracketed paste mode; elsewhere (sh, REPLs, many
+	// remote shells) every newline would run the line before it as soon as it arrives
+	const text = command.trim();
+	if (/[\r\n]/.test(text) && !terminal.modes.bracketedPasteMode) {
+		addAIMessage('System', 'This command spans several lines and the program in the active terminal does not support bracketed paste, so each line would run as soon as it is inserted. Copy it and run it yourself instead.', { isSystem: true, isError: true });
+		return false;
+	}
+
+	const dangers = findDangerousPatterns(text, dangerRules);
+	if (dangers.length > 0 && !(await confirmDangerousCommand(text, dangers))) {
+		return false;
+	}
+
+	window.pasteToPane(paneId, text);
+	terminal.focus();
+
+	logCommandWhenExecuted(terminal, paneId, {
+		entryId: entryId,
+		suggested: text,
+		dangerous: dangers.map(rule => rule.id),
+		confirmed: dangers.length > 0
+	});
+	return true;
+}
+
+/**
+ * Log the inserted command once the shell runs it. With shell integration the log records the
+ * command line actually run (possibly edited) and its exit code; without it there is no telling
+ * whether it ran, so the entry is only marked as inserted.
+ */
+function logCommandWhenExecuted(terminal, paneId, details) {
+	const tracker = getCommandTracker(terminal);
+	const terminalId = window.terminalIds?.get(paneId) || null;
+
+	if (!tracker || !tracker.isActive()) {
+		postCommandLog({ ...details, command: details.suggested, executed: false, terminalId });
+		return;
+	}
+
+	// Only the command entered at the prompt the text was inserted into counts, and only while it is
+	// still recognizably the suggestion; the next prompt (Ctrl+C, an emptied line) means it was abandoned
+	const prompt = tracker.getCurrentPrompt();
+	const stopWaiting = () => {
+		tracker.removeEventListener('onCommandFinished', onFinished);
+		tracker.removeEventListener('onPrompt', stopWaiting);
+	};
+	const onFinished = (block) => {
+		stopWaiting();
+		if (!prompt || block.promptMarker !== prompt || !isSameCommand(block.command, details.suggested)) return;
+
+		postCommandLog({
+			...details,
+			command: block.command,
+			exitCode: block.exitCode,
+			executed: true,
+			terminalId
+		});
+	};
+	tracker.addEventListener('onCommandFinished', onFinished);
+	tracker.addEventListener('onPrompt', stopWaiting);
+}
+
+/**
+ * Whether a command line that was run is the inserted suggestion, allowing edits to its arguments:
+ * it has to start with the same program. Multi-line commands are read back from the screen with
+ * continuation prompts, so whitespace and "> " prefixes are ignored.
+ */
+function isSameCommand(command, suggested) {
+	const normalize = text => (text || '').split('\n').map(line => line.replace(/^> /, '')).join(' ').trim().split(/\s+/);
+	return normalize(command)[0] === normalize(suggested)[0];
+}
+
+/**
+ * Append an entry to the AI command log
+ */
+async function postCommandLog(entry) {
+	try {
+		await fetch('/api/command-log', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(entry)
+		});
+	} catch (error) {
+		console.warn('Failed to log AI command:', error);
 	}
 }
 
+/**
+ * Ask the user to confirm a command that matches danger rules
+ */
+function confirmDangerousCommand(command, dangers) {
+	return new Promise((resolve) => {
+		const overlay = document.createElement('div');
+		overlay.className = 'command-confirm-overlay';
+		overlay.innerHTML = `
+			<div class="command-confirm-dialog" role="alertdialog" aria-modal="true">
+				<div class="command-confirm-title">⚠️ Potentially dangerous command</div>
+				<pre class="command-confirm-command"></pre>
+				<ul class="command-confirm-reasons"></ul>
+				<div class="command-confirm-actions">
+					<button class="command-confirm-cancel">Cancel</button>
+					<button class="command-confirm-accept">Insert anyway</button>
+				</div>
+			</div>
+		`;
+
+		overlay.querySelector('.command-confirm-command').textContent = command;
+		const reasons = overlay.querySelector('.command-confirm-reasons');
+		dangers.forEach(rule => {
+			const item = document.createElement('li');
+			item.textContent = rule.description || rule.id;
+			reasons.appendChild(item);
+		});
+
+		const close = (confirmed) => {
+			document.removeEventListener('keydown', onKeyDown, true);
+			overlay.remove();
+			resolve(confirmed);
+		};
+		const onKeyDown = (e) => {
+			if (e.key === 'Escape') {
+				e.preventDefault();
+				close(false);
+			}
+		};
+
+		overlay.querySelector('.command-confirm-cancel').addEventListener('click', () => close(false));
+		overlay.querySelector('.command-confirm-accept').addEventListener('click', () => close(true));
+		overlay.addEventListener('click', (e) => {
+			if (e.target === overlay) close(false);
+		});
+		document.addEventListener('keydown', onKeyDown, true);
+
+		document.body.appendChild(overlay);
+		overlay.querySelector('.command-confirm-cancel').focus();
+	});
+}
+
 /**
  * Copy text to clipboard
  */
@@ -544,13 +1045,15 @@ export function loadChatHistory() {
 
 	recentHistory.forEach(entry => {
 		// Show user message
-		addAIMessage('🚀', entry.message, { isUser: true });
+		addAIMessage('🚀', entry.message, { isUser: true, attachment: entry.attachment });
 
 		// Show AI response
 		addAIMessage('🤖', entry.response, {
 			isAI: true,
 			isCommand: entry.isCommand,
-			codeBlocks: entry.codeBlocks
+			codeBlocks: entry.codeBlocks,
+			entryId: entry.id,
+			answeredBy: entry.profile
 		});
 	});
 }
@@ -589,8 +1092,11 @@ export default {
 	initializeAIStatus,
 	setupAIEventListeners,
 	handleAIInput,
+	stopAIResponse,
+	explainLastError,
 	addAIMessage,
 	setupCommandButtons,
 	loadChatHistory,
-	clearChatHistory
+	clearChatHistory,
+	updateModelDisplay
 };
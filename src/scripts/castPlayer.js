@@ -0,0 +1,235 @@
+/**
+ * Asciinema v2 Cast Player
+ * Replays recorded terminal sessions into an xterm instance with variable speed and seeking
+ */
+
+/**
+ * Parse an asciinema v2 .cast file
+ */
+export function parseCast(text) {
+	const lines = text.split('\n').filter(line => line.trim());
+	if (lines.length === 0) {
+		throw new Error('Empty recording');
+	}
+
+	const header = JSON.parse(lines[0]);
+	if (header.version !== 2) {
+		throw new Error(`Unsupported asciicast version: ${header.version}`);
+	}
+
+	// Only output and resize events affect the screen
+	const rawEvents = lines.slice(1)
+		.map(line => JSON.parse(line))
+		.filter(event => event[1] === 'o' || event[1] === 'r');
+
+	// Compress long pauses the same way asciinema does with idle_time_limit
+	const idleLimit = header.idle_time_limit;
+	const events = [];
+	let previousRaw = 0;
+	let time = 0;
+
+	rawEvents.forEach(([rawTime, type, data]) => {
+		const gap = rawTime - previousRaw;
+		time += idleLimit ? Math.min(gap, idleLimit) : gap;
+		previousRaw = rawTime;
+		events.push([time, type, data]);
+	});
+
+	return {
+		header,
+		events,
+		duration: events.length > 0 ? events[events.length - 1][0] : 0
+	};
+}
+
+/**
+ * Format seconds as m:ss
+ */
+export function formatDuration(seconds) {
+	const total = Math.max(0, Math.floor(seconds));
+	const minutes = Math.floor(total / 60);
+	const secs = total % 60;
+	return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+export class CastPlayer {
+	constructor(terminal, cast) {
+		this.terminal = terminal;
+		this.cast = cast;
+		this.speed = 1;
+		this.position = 0; // Seconds into the recording while paused
+		this.index = 0; // Next event to apply
+		this.playing = false;
+		this.timer = null;
+		this.startedAt = 0;
+
+		this.eventHandlers = {
+			onProgress: [],
+			onStateChange: []
+		};
+
+		this.resetScreen();
+	}
+
+	/**
+	 * Current playback position in seconds
+	 */
+	currentTime() {
+		if (!this.playing) return this.position;
+		const elapsed = (performance.now() - this.startedAt) / 1000 * this.speed;
+		return Math.min(elapsed, this.cast.duration);
+	}
+
+	/**
+	 * Start or resume playback
+	 */
+	play() {
+		if (this.playing) return;
+
+		// Restart from the beginning when playback already finished
+		if (this.index >= this.cast.events.length) {
+			this.seek(0);
+		}
+
+		this.playing = true;
+		this.startedAt = performance.now() - this.position * 1000 / this.speed;
+		this.scheduleNext();
+		this.emit('onStateChange', this.playing);
+	}
+
+	/**
+	 * Pause playback
+	 */
+	pause() {
+		if (!this.playing) return;
+
+		this.position = this.currentTime();
+		this.playing = false;
+		clearTimeout(this.timer);
+		this.emit('onStateChange', this.playing);
+	}
+
+	/**
+	 * Toggle between play and pause
+	 */
+	toggle() {
+		if (this.playing) {
+			this.pause();
+		} else {
+			this.play();
+		}
+	}
+
+	/**
+	 * Change playback speed without losing the current position
+	 */
+	setSpeed(speed) {
+		const position = this.currentTime();
+		this.speed = speed;
+
+		if (this.playing) {
+			this.startedAt = performance.now() - position * 1000 / this.speed;
+			clearTimeout(this.timer);
+			this.scheduleNext();
+		}
+	}
+
+	/**
+	 * Jump to a position by redrawing every event up to it
+	 */
+	seek(time) {
+		const wasPlaying = this.playing;
+		if (wasPlaying) {
+			this.pause();
+		}
+
+		const target = Math.min(Math.max(time, 0), this.cast.duration);
+		this.resetScreen();
+		this.index = 0;
+
+		while (this.index < this.cast.events.length && this.cast.events[this.index][0] <= target) {
+			this.applyEvent(this.cast.events[this.index]);
+			this.index++;
+		}
+
+		this.position = target;
+		this.emit('onProgress', this.position);
+
+		if (wasPlaying) {
+			this.play();
+		}
+	}
+
+	/**
+	 * Stop playback and release timers
+	 */
+	dispose() {
+		clearTimeout(this.timer);
+		this.playing = false;
+		this.eventHandlers.onProgress = [];
+		this.eventHandlers.onStateChange = [];
+	}
+
+	/**
+	 * Add event handler
+	 */
+	addEventListener(event, handler) {
+		if (this.eventHandlers[event]) {
+			this.eventHandlers[event].push(handler);
+		}
+	}
+
+	scheduleNext() {
+		if (!this.playing) return;
+
+		if (this.index >= this.cast.events.length) {
+			this.position = this.cast.duration;
+			this.playing = false;
+			this.emit('onProgress', this.position);
+			this.emit('onStateChange', this.playing);
+			return;
+		}
+
+		const nextTime = this.cast.events[this.index][0];
+		const delay = Math.max(0, (nextTime - this.currentTime()) * 1000 / this.speed);
+
+		this.timer = setTimeout(() => {
+			const now = this.currentTime();
+			while (this.index < this.cast.events.length && this.cast.events[this.index][0] <= now) {
+				this.applyEvent(this.cast.events[this.index]);
+				this.index++;
+			}
+			this.emit('onProgress', now);
+			this.scheduleNext();
+		}, delay);
+	}
+
+	applyEvent([, type, data]) {
+		if (type === 'o') {
+			this.terminal.write(data);
+		} else if (type === 'r') {
+			const [cols, rows] = data.split('x').map(Number);
+			if (cols && rows) {
+				this.terminal.resize(cols, rows);
+			}
+		}
+	}
+
+	resetScreen() {
+		this.terminal.reset();
+		const { width, height } = this.cast.header;
+		if (width && height) {
+			this.terminal.resize(width, height);
+		}
+	}
+
+	emit(event, value) {
+		this.eventHandlers[event].forEach(handler => {
+			try {
+				handler(value);
+			} catch (error) {
+				console.error(`Error in ${event} handler:`, error);
+			}
+		});
+	}
+}
@@ -0,0 +1,302 @@
+/**
+ * Command Blocks
+ * Splits terminal output into per-command blocks using the OSC 133 marks
+ * emitted by the shell integration scripts (A prompt, B command, C output, D;exit code)
+ */
+
+// Finished blocks kept per terminal
+const MAX_BLOCKS = 200;
+
+// Trackers by terminal, so other modules can find the blocks of a terminal
+const trackers = new WeakMap();
+
+// Unique ids for block decoration elements across all terminals
+let nextElementId = 1;
+
+/**
+ * Get the command tracker attached to a terminal, or null when there is none
+ */
+export function getCommandTracker(terminal) {
+	return trackers.get(terminal) || null;
+}
+
+export class CommandTracker {
+	constructor(terminal) {
+		this.terminal = terminal;
+		this.blocks = [];
+		this.pending = null; // Block whose prompt has been drawn but whose command has not finished
+
+		this.eventHandlers = {
+			onPrompt: [],
+			onCommandFinished: [],
+			onBlockClick: []
+		};
+
+		this.oscHandler = terminal.parser.registerOscHandler(133, (data) => this.handleMark(data));
+		trackers.set(terminal, this);
+	}
+
+	/**
+	 * Whether the shell has reported at least one prompt, i.e. integration is active
+	 */
+	isActive() {
+		return this.pending !== null || this.blocks.length > 0;
+	}
+
+	/**
+	 * Get the prompt marker of the command line currently being edited, if any
+	 */
+	getCurrentPrompt() {
+		return this.pending && !this.pending.outputMarker ? this.pending.promptMarker : null;
+	}
+
+	/**
+	 * Get the most recent finished command
+	 */
+	getLastBlock() {
+		const blocks = this.getBlocks();
+		return blocks.length > 0 ? blocks[blocks.length - 1] : null;
+	}
+
+	/**
+	 * Get finished commands that are still in the scrollback
+	 */
+	getBlocks() {
+		this.blocks = this.blocks.filter(block => !block.promptMarker.isDisposed);
+		return this.blocks;
+	}
+
+	/**
+	 * Read the output of a command block
+	 */
+	getOutput(block) {
+		if (block.outputMarker.isDisposed || block.endMarker.isDisposed) return '';
+
+		// Output that did not end with a newline leaves the prompt mid-line
+		const endLine = block.endX > 0 ? block.endMarker.line : block.endMarker.line - 1;
+		const text = this.readRange(block.outputMarker.line, 0, endLine, block.endX > 0 ? block.endX : undefined);
+		return text.replace(/\s+$/, '');
+	}
+
+	/**
+	 * Scroll so the previous command's prompt is at the top of the viewport
+	 */
+	scrollToPrevious() {
+		const top = this.terminal.buffer.active.viewportY;
+		const block = [...this.getBlocks()].reverse().find(block => block.promptMarker.line < top);
+		if (block) {
+			this.terminal.scrollToLine(block.promptMarker.line);
+		}
+	}
+
+	/**
+	 * Scroll so the next command's prompt is at the top of the viewport
+	 */
+	scrollToNext() {
+		const top = this.terminal.buffer.active.viewportY;
+		const block = this.getBlocks().find(block => block.promptMarker.line > top);
+		if (block) {
+			this.terminal.scrollToLine(block.promptMarker.line);
+		} else {
+			this.terminal.scrollToBottom();
+		}
+	}
+
+	/**
+	 * Stop tracking and release markers
+	 */
+	dispose() {
+		this.oscHandler.dispose();
+		this.blocks.forEach(block => this.disposeBlock(block));
+		this.blocks = [];
+		this.pending = null;
+		this.eventHandlers.onPrompt = [];
+		this.eventHandlers.onCommandFinished = [];
+		this.eventHandlers.onBlockClick = [];
+		trackers.delete(this.terminal);
+	}
+
+	/**
+	 * Add event handler
+	 */
+	addEventListener(event, handler) {
+		if (this.eventHandlers[event]) {
+			this.eventHandlers[event].push(handler);
+		}
+	}
+
+	/**
+	 * Remove event handler
+	 */
+	removeEventListener(event, handler) {
+		if (this.eventHandlers[event]) {
+			const index = this.eventHandlers[event].indexOf(handler);
+			if (index > -1) {
+				this.eventHandlers[event].splice(index, 1);
+			}
+		}
+	}
+
+	handleMark(data) {
+		const [type, ...params] = data.split(';');
+		const buffer = this.terminal.buffer.active;
+
+		switch (type) {
+			case 'A':
+				this.discardPending();
+				this.pending = { promptMarker: this.terminal.registerMarker(0) };
+				this.emit('onPrompt', this.pending.promptMarker);
+				break;
+
+			case 'B':
+				if (this.pending) {
+					this.pending.commandMarker = this.terminal.registerMarker(0);
+					this.pending.commandX = buffer.cursorX;
+				}
+				break;
+
+			case 'C':
+				if (this.pending && this.pending.commandMarker) {
+					const outputLine = buffer.baseY + buffer.cursorY;
+					this.pending.command = this.readRange(
+						this.pending.commandMarker.line,
+						this.pending.commandX,
+						outputLine - 1
+					).trim();
+					this.pending.outputMarker = this.terminal.registerMarker(0);
+					this.pending.startedAt = Date.now();
+				}
+				break;
+
+			case 'D':
+				this.finishCommand(params[0]);
+				break;
+		}
+
+		return true;
+	}
+
+	finishCommand(exitCode) {
+		const block = this.pending;
+		this.pending = null;
+
+		// An empty command line reports D without C
+		if (!block || !block.outputMarker) {
+			if (block) this.disposeBlock(block);
+			return;
+		}
+
+		const buffer = this.terminal.buffer.active;
+		block.exitCode = exitCode === undefined || exitCode === '' ? null : parseInt(exitCode, 10);
+		block.duration = Date.now() - block.startedAt;
+		block.endMarker = this.terminal.registerMarker(0);
+		block.endX = buffer.cursorX;
+
+		this.blocks.push(block);
+		while (this.blocks.length > MAX_BLOCKS) {
+			this.disposeBlock(this.blocks.shift());
+		}
+
+		this.decorate(block);
+		this.emit('onCommandFinished', block);
+	}
+
+	// Status dot at the right edge of the prompt line; clicking it opens the block actions
+	decorate(block) {
+		const decoration = this.terminal.registerDecoration({
+			marker: block.promptMarker,
+			anchor: 'right',
+			x: 0,
+			width: 1
+		});
+		if (!decoration) return;
+
+		block.decoration = decoration;
+		const elementId = `command-block-${nextElementId++}`;
+
+		decoration.onRender((element) => {
+			if (element.dataset.bound) return;
+			element.dataset.bound = 'true';
+			element.id = elementId;
+			element.classList.add('command-block-mark', getStatusClass(block.exitCode));
+			element.title = `${block.command || '(command)'}\n${formatExitStatus(block.exitCode)} · ${formatCommandDuration(block.duration)}`;
+			element.addEventListener('mousedown', (e) => e.stopPropagation());
+			element.addEventListener('click', (e) => {
+				e.stopPropagation();
+				this.emit('onBlockClick', { block, element });
+			});
+		});
+	}
+
+	discardPending() {
+		if (this.pending) {
+			this.disposeBlock(this.pending);
+			this.pending = null;
+		}
+	}
+
+	disposeBlock(block) {
+		block.decoration?.dispose();
+		block.promptMarker?.dispose();
+		block.commandMarker?.dispose();
+		block.outputMarker?.dispose();
+		block.endMarker?.dispose();
+	}
+
+	// Read buffer text from (startLine, startX) to endLine, joining wrapped rows
+	readRange(startLine, startX, endLine, endX) {
+		const buffer = this.terminal.buffer.active;
+		const lines = [];
+
+		for (let i = startLine; i <= endLine; i++) {
+			const line = buffer.getLine(i);
+			if (!line) continue;
+
+			const from = i === startLine ? startX : 0;
+			const to = i === endLine ? endX : undefined;
+			const text = line.translateToString(to === undefined, from, to);
+
+			if (line.isWrapped && lines.length > 0) {
+				lines[lines.length - 1] += text;
+			} else {
+				lines.push(text);
+			}
+		}
+
+		return lines.join('\n');
+	}
+
+	emit(event, value) {
+		[...this.eventHandlers[event]].forEach(handler => {
+			try {
+				handler(value);
+			} catch (error) {
+				console.error(`Error in ${event} handler:`, error);
+			}
+		});
+	}
+}
+
+function getStatusClass(exitCode) {
+	if (exitCode === null) return 'unknown';
+	return exitCode === 0 ? 'success' : 'failure';
+}
+
+/**
+ * Describe an exit code for display
+ */
+export function formatExitStatus(exitCode) {
+	if (exitCode === null) return 'finished';
+	return exitCode === 0 ? '✓ exit 0' : `✗ exit ${exitCode}`;
+}
+
+/**
+ * Format a command duration in milliseconds
+ */
+export function formatCommandDuration(ms) {
+	if (ms < 1000) return `${ms}ms`;
+	if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+	const minutes = Math.floor(ms / 60000);
+	const seconds = Math.floor((ms % 60000) / 1000);
+	return `${minutes}m ${seconds}s`;
+}
@@ -0,0 +1,69 @@
+/**
+ * Command Safety
+ * Flags dangerous patterns in AI-suggested commands before they reach the terminal
+ */
+
+/**
+ * Built-in danger rules. config.yaml `commandSafety.rules` entries with the same id
+ * override these (e.g. `enabled: false`), entries with new ids are added.
+ */
+export const DEFAULT_DANGER_RULES = [
+	{
+		id: 'rm-rf',
+		pattern: '\\brm(?=[^|;&]*\\s(-[a-zA-Z]*[rR][a-zA-Z]*|--recursive)\\b)(?=[^|;&]*\\s(-[a-zA-Z]*f[a-zA-Z]*|--force)\\b)',
+		description: 'Recursively force-deletes files'
+	},
+	{
+		id: 'dd',
+		pattern: '\\bdd\\b[^|;&]*\\bof=',
+		description: 'Writes raw data to a file or device with dd'
+	},
+	{
+		id: 'mkfs',
+		pattern: '\\bmkfs(\\.\\w+)?\\b',
+		description: 'Formats a filesystem'
+	},
+	{
+		id: 'pipe-to-shell',
+		pattern: '\\b(curl|wget)\\b[^|;&]*\\|\\s*(sudo\\s+)?(ba|z|da|k|fi)?sh\\b',
+		description: 'Runs a downloaded script directly in a shell'
+	},
+	{
+		id: 'chmod-777',
+		pattern: '\\bchmod(?=[^|;&]*\\s(-[a-zA-Z]*R[a-zA-Z]*|--recursive)\\b)(?=[^|;&]*\\s0?777\\b)',
+		description: 'Recursively makes files world-writable'
+	},
+	{
+		id: 'force-push',
+		pattern: '\\bgit\\s+push\\b[^|;&]*\\s(-[a-zA-Z]*f|--force|--force-with-lease)(\\s|=|$)',
+		description: 'Force-pushes and may overwrite remote history'
+	}
+];
+
+/**
+ * Merge configured rules into the built-in ones and drop disabled rules
+ */
+export function buildDangerRules(configuredRules = []) {
+	const rules = new Map(DEFAULT_DANGER_RULES.map(rule => [rule.id, rule]));
+
+	configuredRules.forEach(rule => {
+		if (!rule || !rule.id) return;
+		rules.set(rule.id, { ...rules.get(rule.id), ...rule });
+	});
+
+	return [...rules.values()].filter(rule => rule.enabled !== false && rule.pattern);
+}
+
+/**
+ * Return the rules a command matches
+ */
+export function findDangerousPatterns(command, rules = DEFAULT_DANGER_RULES) {
+	return rules.filter(rule => {
+		try {
+			return new RegExp(rule.pattern, rule.flags || '').test(command);
+		} catch (error) {
+			console.warn(`Invalid danger rule pattern "${rule.id}":`, error);
+			return false;
+		}
+	});
+}
@@ -0,0 +1,293 @@
+/**
+ * File Transfer
+ * Uploads files dropped on a pane into the session's working directory and saves files
+ * requested with the `xt-download` shell helper, both over the pane's terminal WebSocket.
+ * Each transfer is listed in the pane with its progress and a cancel button
+ */
+
+// Bytes per upload chunk; the next chunk is sent once the server has written the previous one
+const UPLOAD_CHUNK_SIZE = 256 * 1024;
+
+// How long finished or failed transfers stay in the list
+const FINISHED_DISPLAY_TIME = 5000;
+
+// xt-download emits OSC 1337;XTerminalDownload=<session token>;<base64 absolute path>.
+// The server only serves requests carrying the token, which other terminal output cannot know
+const DOWNLOAD_OSC = 1337;
+const DOWNLOAD_KEY = 'XTerminalDownload=';
+
+// Server replies, routed to the pane's FileTransfers by handleMessage
+const TRANSFER_MESSAGES = [
+	'upload-ready', 'upload-progress', 'upload-done', 'upload-error',
+	'download-start', 'download-chunk', 'download-end', 'download-error'
+];
+
+let nextTransferId = 1;
+
+/**
+ * Whether a server message belongs to a file transfer
+ */
+export function isTransferMessage(type) {
+	return TRANSFER_MESSAGES.includes(type);
+}
+
+export class FileTransfers {
+	/**
+	 * @param {import('@xterm/xterm').Terminal} terminal - Terminal whose output may request downloads
+	 * @param {HTMLElement} container - Element the transfer list is added to
+	 * @param {{ send: (message: object) => boolean, canTransfer: () => boolean }} options -
+	 *   send returns false when the pane is disconnected; canTransfer is false for panes joined through a share link
+	 */
+	constructor(terminal, container, { send, canTransfer }) {
+		this.send = send;
+		this.canTransfer = canTransfer;
+		this.transfers = new Map();
+
+		this.list = document.createElement('div');
+		this.list.className = 'pane-transfers';
+		container.appendChild(this.list);
+
+		this.oscHandler = terminal.parser.registerOscHandler(DOWNLOAD_OSC, (data) => this.handleOsc(data));
+	}
+
+	dispose() {
+		this.oscHandler.dispose();
+		this.transfers.forEach(transfer => clearTimeout(transfer.removeTimer));
+		this.transfers.clear();
+		this.list.remove();
+	}
+
+	/**
+	 * Upload a file into the session's current working directory
+	 */
+	upload(file) {
+		const transfer = this.addTransfer('upload', file.name, file.size);
+		transfer.file = file;
+		transfer.offset = 0;
+		this.start(transfer, { type: 'upload-start', id: transfer.id, name: file.name, size: file.size });
+	}
+
+	/**
+	 * Download a file requested by xt-download, relative paths are resolved against the session's working directory
+	 */
+	download(path, token) {
+		const transfer = this.addTransfer('download', path.split('/').pop() || path, null);
+		transfer.chunks = [];
+		this.start(transfer, { type: 'download', id: transfer.id, path, token });
+	}
+
+	handleOsc(data) {
+		// Other OSC 1337 sequences are left to other handlers
+		if (!data.startsWith(DOWNLOAD_KEY)) return false;
+
+		// Viewers of a shared session see the sequence too, but only the owner downloads
+		if (this.canTransfer()) {
+			try {
+				const [token, path] = data.slice(DOWNLOAD_KEY.length).split(';');
+				this.download(new TextDecoder().decode(decodeBase64(path ?? '')), token);
+			} catch (error) {
+				console.error('Invalid download request:', error);
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Handle a transfer reply from the server
+	 */
+	handleMessage(message) {
+		const transfer = this.transfers.get(message.id);
+		if (!transfer || transfer.done) return;
+
+		switch (message.type) {
+			case 'upload-ready':
+				this.sendNextChunk(transfer);
+				break;
+
+			case 'upload-progress':
+				transfer.received = message.received;
+				this.render(transfer);
+				this.sendNextChunk(transfer);
+				break;
+
+			case 'upload-done':
+				this.finish(transfer, `Saved to ${message.path}`);
+				break;
+
+			case 'download-start':
+				transfer.name = message.name;
+				transfer.size = message.size;
+				this.render(transfer);
+				break;
+
+			case 'download-chunk': {
+				const chunk = decodeBase64(message.data);
+				transfer.chunks.push(chunk);
+				transfer.received += chunk.length;
+				this.render(transfer);
+				break;
+			}
+
+			case 'download-end':
+				saveFile(new Blob(transfer.chunks), transfer.name);
+				transfer.chunks = [];
+				this.finish(transfer, 'Downloaded');
+				break;
+
+			case 'upload-error':
+			case 'download-error':
+				this.fail(transfer, message.message);
+				break;
+		}
+	}
+
+	/**
+	 * Fail every transfer in progress, e.g. when the connection drops (the server discards them too)
+	 */
+	failAll(reason) {
+		this.transfers.forEach((transfer) => {
+			if (!transfer.done) this.fail(transfer, reason);
+		});
+	}
+
+	cancel(transfer) {
+		if (transfer.done) return;
+		this.send({ type: `${transfer.kind}-cancel`, id: transfer.id });
+		this.fail(transfer, 'Cancelled');
+	}
+
+	start(transfer, message) {
+		if (!this.canTransfer()) {
+			this.fail(transfer, 'Only the session owner can transfer files');
+		} else if (!this.send(message)) {
+			this.fail(transfer, 'Not connected');
+		}
+	}
+
+	async sendNextChunk(transfer) {
+		const { file } = transfer;
+		if (transfer.offset >= file.size) {
+			this.send({ type: 'upload-end', id: transfer.id });
+			return;
+		}
+
+		let chunk;
+		try {
+			const end = Math.min(transfer.offset + UPLOAD_CHUNK_SIZE, file.size);
+			chunk = new Uint8Array(await file.slice(transfer.offset, end).arrayBuffer());
+		} catch (error) {
+			// Folders and files that went away since the drop cannot be read
+			this.send({ type: 'upload-cancel', id: transfer.id });
+			this.fail(transfer, `Cannot read ${file.name}`);
+			return;
+		}
+		if (transfer.done) return;
+
+		transfer.offset += chunk.length;
+		if (!this.send({ type: 'upload-chunk', id: transfer.id, data: encodeBase64(chunk) })) {
+			this.fail(transfer, 'Not connected');
+		}
+	}
+
+	addTransfer(kind, name, size) {
+		const transfer = {
+			id: `t${nextTransferId++}`,
+			kind,
+			name,
+			size,
+			received: 0,
+			done: false,
+			status: null
+		};
+
+		transfer.element = document.createElement('div');
+		transfer.element.className = 'pane-transfer';
+		transfer.element.innerHTML = `
+			<span class="pane-transfer-name"></span>
+			<span class="pane-transfer-status"></span>
+			<button class="pane-transfer-cancel" title="Cancel">×</button>
+			<div class="pane-transfer-progress"><div class="pane-transfer-bar"></div></div>
+		`;
+		transfer.element.querySelector('.pane-transfer-cancel').addEventListener('click', () => this.cancel(transfer));
+		this.list.appendChild(transfer.element);
+
+		this.transfers.set(transfer.id, transfer);
+		this.render(transfer);
+		return transfer;
+	}
+
+	finish(transfer, status) {
+		transfer.done = true;
+		transfer.status = status;
+		transfer.element.classList.add('done');
+		this.render(transfer);
+		this.scheduleRemoval(transfer);
+	}
+
+	fail(transfer, reason) {
+		transfer.done = true;
+		transfer.status = reason;
+		transfer.chunks = [];
+		transfer.element.classList.add('failed');
+		this.render(transfer);
+		this.scheduleRemoval(transfer);
+	}
+
+	scheduleRemoval(transfer) {
+		transfer.removeTimer = setTimeout(() => {
+			transfer.element.remove();
+			this.transfers.delete(transfer.id);
+		}, FINISHED_DISPLAY_TIME);
+	}
+
+	render(transfer) {
+		const { element, size, received } = transfer;
+		const nameElement = element.querySelector('.pane-transfer-name');
+		nameElement.textContent = `${transfer.kind === 'upload' ? '↑' : '↓'} ${transfer.name}`;
+		nameElement.title = transfer.name;
+
+		const percent = size ? Math.floor(received / size * 100) : (transfer.done ? 100 : 0);
+		const statusElement = element.querySelector('.pane-transfer-status');
+		statusElement.textContent = transfer.status
+			|| (size === null ? 'Waiting…' : `${formatBytes(received)} / ${formatBytes(size)} · ${percent}%`);
+		statusElement.title = statusElement.textContent;
+
+		element.querySelector('.pane-transfer-bar').style.width = `${percent}%`;
+		element.querySelector('.pane-transfer-cancel').hidden = transfer.done;
+	}
+}
+
+function saveFile(blob, name) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = name;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function encodeBase64(bytes) {
+	// String.fromCharCode takes its arguments on the stack, convert in slices
+	let binary = '';
+	for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function decodeBase64(text) {
+	const binary = atob(text);
+	const bytes = new Uint8Array(binary.length);
+	for (let index = 0; index < binary.length; index++) {
+		bytes[index] = binary.charCodeAt(index);
+	}
+	return bytes;
+}
+
+function formatBytes(bytes) {
+	if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+	if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${bytes} B`;
+}
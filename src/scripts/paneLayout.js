@@ -0,0 +1,197 @@
+/**
+ * Pane Layout
+ * Binary layout tree for split panes within a tab. Leaves are panes, inner nodes split
+ * their area between two children side by side ('row') or stacked ('column').
+ */
+
+// Smallest share of a split either side can be dragged down to
+const MIN_RATIO = 0.1;
+
+/**
+ * Create a leaf node for a pane
+ */
+export function createPane(paneId) {
+	return { type: 'pane', paneId };
+}
+
+/**
+ * Split a pane in two, the new pane going right of ('row') or below ('column') it
+ */
+export function splitLayout(node, paneId, newPaneId, direction) {
+	if (node.type === 'pane') {
+		return node.paneId === paneId
+			? { type: 'split', direction, ratio: 0.5, children: [node, createPane(newPaneId)] }
+			: node;
+	}
+	return { ...node, children: node.children.map(child => splitLayout(child, paneId, newPaneId, direction)) };
+}
+
+/**
+ * Remove a pane; its sibling takes over the split's area. Returns null when no pane is left.
+ */
+export function removeFromLayout(node, paneId) {
+	return mapLayoutPanes(node, leaf => leaf.paneId === paneId ? null : leaf);
+}
+
+/**
+ * Pane ids in layout order (left to right, top to bottom)
+ */
+export function getPaneIds(node) {
+	if (!node) return [];
+	if (node.type === 'pane') return [node.paneId];
+	return node.children.flatMap(getPaneIds);
+}
+
+/**
+ * Rebuild a layout with every leaf replaced by `mapLeaf(leaf)`. Leaves mapped to null are
+ * dropped and malformed nodes are ignored, so this also validates layouts read from storage.
+ */
+export function mapLayoutPanes(node, mapLeaf) {
+	if (!node || typeof node !== 'object') return null;
+
+	if (node.type === 'pane') {
+		return mapLeaf(node);
+	}
+
+	if (node.type !== 'split' || !Array.isArray(node.children) || node.children.length !== 2) {
+		return null;
+	}
+
+	const children = node.children.map(child => mapLayoutPanes(child, mapLeaf));
+	if (!children[0] || !children[1]) {
+		return children[0] || children[1];
+	}
+
+	return {
+		type: 'split',
+		direction: node.direction === 'column' ? 'column' : 'row',
+		ratio: clampRatio(node.ratio),
+		children
+	};
+}
+
+/**
+ * Find the nearest pane next to `fromId` in a direction ('left', 'right', 'up' or 'down')
+ * given a Map of pane id to its DOMRect
+ */
+export function findPaneInDirection(rects, fromId, direction) {
+	const from = rects.get(fromId);
+	if (!from) return null;
+
+	let nearest = null;
+	let nearestDistance = Infinity;
+
+	rects.forEach((rect, paneId) => {
+		if (paneId === fromId) return;
+
+		const horizontal = direction === 'left' || direction === 'right';
+		const distance = {
+			left: from.left - rect.right,
+			right: rect.left - from.right,
+			up: from.top - rect.bottom,
+			down: rect.top - from.bottom
+		}[direction];
+		const overlap = horizontal
+			? Math.min(from.bottom, rect.bottom) - Math.max(from.top, rect.top)
+			: Math.min(from.right, rect.right) - Math.max(from.left, rect.left);
+
+		// Panes on the other side of a divider are a few pixels apart
+		if (distance === undefined || distance < -1 || overlap <= 0) return;
+
+		if (distance < nearestDistance) {
+			nearest = paneId;
+			nearestDistance = distance;
+		}
+	});
+
+	return nearest;
+}
+
+/**
+ * Lay out pane elements in a container according to the tree. Pane elements are moved,
+ * not recreated, so their terminals keep running. Dragging a divider updates the split's
+ * ratio and calls `onResize(done)`, with `done` true once the drag ends.
+ */
+export function renderLayout(container, layout, getPaneElement, onResize) {
+	// Detach panes first so clearing the container does not drop them
+	getPaneIds(layout).forEach(paneId => getPaneElement(paneId)?.remove());
+
+	const root = buildNode(layout, getPaneElement, onResize);
+	root.style.flex = '';
+	container.replaceChildren(root);
+}
+
+function buildNode(node, getPaneElement, onResize) {
+	if (node.type === 'pane') {
+		return getPaneElement(node.paneId);
+	}
+
+	const element = document.createElement('div');
+	element.className = `pane-split pane-split-${node.direction}`;
+
+	const first = buildNode(node.children[0], getPaneElement, onResize);
+	const second = buildNode(node.children[1], getPaneElement, onResize);
+	const divider = document.createElement('div');
+	divider.className = 'pane-divider';
+
+	element.append(first, divider, second);
+	applyRatio(node, first, second);
+
+	divider.addEventListener('pointerdown', (event) => {
+		startDividerDrag(event, node, { element, divider, first, second }, onResize);
+	});
+
+	return element;
+}
+
+function startDividerDrag(event, node, { element, divider, first, second }, onResize) {
+	event.preventDefault();
+	divider.setPointerCapture(event.pointerId);
+	divider.classList.add('dragging');
+
+	const horizontal = node.direction === 'row';
+	const bounds = element.getBoundingClientRect();
+	document.body.style.cursor = horizontal ? 'col-resize' : 'row-resize';
+	document.body.style.userSelect = 'none';
+
+	// Refit at most once per frame while dragging
+	let frame = null;
+
+	const onMove = (e) => {
+		const offset = horizontal ? e.clientX - bounds.left : e.clientY - bounds.top;
+		node.ratio = clampRatio(offset / (horizontal ? bounds.width : bounds.height));
+		applyRatio(node, first, second);
+
+		if (!frame) {
+			frame = requestAnimationFrame(() => {
+				frame = null;
+				onResize(false);
+			});
+		}
+	};
+
+	const onEnd = () => {
+		divider.removeEventListener('pointermove', onMove);
+		divider.removeEventListener('pointerup', onEnd);
+		divider.removeEventListener('pointercancel', onEnd);
+		divider.classList.remove('dragging');
+		document.body.style.cursor = '';
+		document.body.style.userSelect = '';
+		cancelAnimationFrame(frame);
+		onResize(true);
+	};
+
+	divider.addEventListener('pointermove', onMove);
+	divider.addEventListener('pointerup', onEnd);
+	divider.addEventListener('pointercancel', onEnd);
+}
+
+function applyRatio(node, first, second) {
+	first.style.flex = `${node.ratio} 1 0`;
+	second.style.flex = `${1 - node.ratio} 1 0`;
+}
+
+function clampRatio(ratio) {
+	const value = Number.isFinite(ratio) ? ratio : 0.5;
+	return Math.min(Math.max(value, MIN_RATIO), 1 - MIN_RATIO);
+}
@@ -0,0 +1,127 @@
+/**
+ * Terminal Context
+ * Reads text from an xterm instance so it can be attached to AI chat messages
+ */
+
+import { getCommandTracker } from './commandBlocks.js';
+
+// How many command markers to remember per terminal
+const MAX_COMMAND_MARKERS = 50;
+
+// Upper bound for attached text so a huge scrollback cannot blow the prompt
+const MAX_CONTEXT_CHARS = 12000;
+
+export const CONTEXT_SOURCES = {
+	lines: 'Last lines',
+	selection: 'Selection',
+	command: 'Last command output'
+};
+
+// Markers placed on the line where the user pressed Enter, per terminal
+const commandMarkers = new WeakMap();
+
+/**
+ * Remember where each command was entered so its output can be found later
+ * (fallback for shells without OSC 133 shell integration)
+ */
+export function trackCommands(terminal) {
+	commandMarkers.set(terminal, []);
+
+	terminal.onData((data) => {
+		if (!data.includes('\r')) return;
+
+		const marker = terminal.registerMarker(0);
+		if (!marker) return;
+
+		const markers = commandMarkers.get(terminal);
+		markers.push(marker);
+		while (markers.length > MAX_COMMAND_MARKERS) {
+			markers.shift().dispose();
+		}
+	});
+}
+
+/**
+ * Get the last `count` lines up to the cursor
+ */
+export function getLastLines(terminal, count = 50) {
+	const buffer = terminal.buffer.active;
+	const end = buffer.baseY + buffer.cursorY;
+	return trimText(readLines(terminal, Math.max(0, end - count + 1), end));
+}
+
+/**
+ * Get the current selection
+ */
+export function getSelectionText(terminal) {
+	return trimText(terminal.getSelection());
+}
+
+/**
+ * Get the last finished command together with its output, or '' when unknown
+ */
+export function getLastCommandOutput(terminal) {
+	// Shell integration knows the exact command boundaries and exit code
+	const tracker = getCommandTracker(terminal);
+	if (tracker && tracker.isActive()) {
+		const block = tracker.getLastBlock();
+		if (!block) return '';
+
+		const status = block.exitCode === null ? '' : ` (exit code ${block.exitCode})`;
+		return trimText(`$ ${block.command}${status}\n${tracker.getOutput(block)}`);
+	}
+
+	const buffer = terminal.buffer.active;
+	const cursorLine = buffer.baseY + buffer.cursorY;
+	const markers = (commandMarkers.get(terminal) || []).filter(marker => !marker.isDisposed && marker.line >= 0);
+
+	// The newest marker below the prompt line belongs to the command that just finished
+	const marker = markers.reverse().find(marker => marker.line < cursorLine);
+	if (!marker) return '';
+
+	return trimText(readLines(terminal, marker.line, cursorLine - 1));
+}
+
+/**
+ * Read terminal text for a context source ('lines', 'selection' or 'command')
+ */
+export function getTerminalContext(terminal, source, lineCount) {
+	if (!terminal) return '';
+
+	switch (source) {
+		case 'lines':
+			return getLastLines(terminal, lineCount);
+		case 'selection':
+			return getSelectionText(terminal);
+		case 'command':
+			return getLastCommandOutput(terminal);
+		default:
+			return '';
+	}
+}
+
+function readLines(terminal, start, end) {
+	const buffer = terminal.buffer.active;
+	const lines = [];
+
+	for (let i = start; i <= end; i++) {
+		const line = buffer.getLine(i);
+		if (!line) continue;
+
+		// Wrapped rows continue the previous line
+		if (line.isWrapped && lines.length > 0) {
+			lines[lines.length - 1] += line.translateToString(true);
+		} else {
+			lines.push(line.translateToString(true));
+		}
+	}
+
+	return lines.join('\n');
+}
+
+function trimText(text) {
+	const trimmed = (text || '').replace(/^\s*\n/, '').replace(/\s+$/, '');
+	return trimmed.length > MAX_CONTEXT_CHARS
+		? trimmed.slice(-MAX_CONTEXT_CHARS)
+		: trimmed;
+}
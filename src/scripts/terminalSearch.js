@@ -0,0 +1,167 @@
+/**
+ * Terminal Search
+ * Find bar over a terminal's scrollback using the xterm search addon: case-sensitive,
+ * whole-word and regex modes, highlighting of every match, next/previous navigation
+ * and a match count. Each pane keeps its own bar, query and options
+ */
+
+import { SearchAddon } from '@xterm/addon-search';
+
+// The addon highlights at most this many matches; beyond it the count shows as "1000+"
+const HIGHLIGHT_LIMIT = 1000;
+
+// Decoration colors must be #RRGGBB
+const MATCH_DECORATIONS = {
+	matchBackground: '#44475a',
+	matchBorder: '#6272a4',
+	matchOverviewRuler: '#6272a4',
+	activeMatchBackground: '#8a5a1f',
+	activeMatchBorder: '#ffb86c',
+	activeMatchColorOverviewRuler: '#ffb86c'
+};
+
+const SEARCH_MODES = [
+	{ option: 'caseSensitive', label: 'Aa', title: 'Match case' },
+	{ option: 'wholeWord', label: 'ab', title: 'Match whole word' },
+	{ option: 'regex', label: '.*', title: 'Use regular expression' }
+];
+
+export class TerminalSearch {
+	/**
+	 * @param {import('@xterm/xterm').Terminal} terminal - Terminal to search
+	 * @param {HTMLElement} container - Element the find bar is added to
+	 */
+	constructor(terminal, container) {
+		this.terminal = terminal;
+		this.options = { caseSensitive: false, wholeWord: false, regex: false };
+
+		this.addon = new SearchAddon({ highlightLimit: HIGHLIGHT_LIMIT });
+		terminal.loadAddon(this.addon);
+		this.resultsListener = this.addon.onDidChangeResults(results => this.showCount(results));
+
+		this.bar = document.createElement('div');
+		this.bar.className = 'terminal-search';
+		this.bar.hidden = true;
+		this.bar.innerHTML = `
+			<input class="terminal-search-input" type="text" placeholder="Find" spellcheck="false" autocomplete="off">
+			<span class="terminal-search-count"></span>
+			${SEARCH_MODES.map(({ option, label, title }) => `<button class="terminal-search-mode" data-option="${option}" title="${title}">${label}</button>`).join('')}
+			<button class="terminal-search-previous" title="Previous match (Shift+Enter)">↑</button>
+			<button class="terminal-search-next" title="Next match (Enter)">↓</button>
+			<button class="terminal-search-close" title="Close (Escape)">×</button>
+		`;
+		container.appendChild(this.bar);
+
+		this.input = this.bar.querySelector('.terminal-search-input');
+		this.count = this.bar.querySelector('.terminal-search-count');
+
+		// Typing extends the current match instead of jumping to the next one
+		this.input.addEventListener('input', () => this.find('next', true));
+		this.input.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				this.find(event.shiftKey ? 'previous' : 'next');
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				this.close();
+			}
+		});
+
+		this.bar.querySelectorAll('.terminal-search-mode').forEach((button) => {
+			button.addEventListener('click', () => {
+				this.options[button.dataset.option] = !this.options[button.dataset.option];
+				button.classList.toggle('active', this.options[button.dataset.option]);
+				this.find('next', true);
+				this.input.focus();
+			});
+		});
+		this.bar.querySelector('.terminal-search-previous').addEventListener('click', () => this.find('previous'));
+		this.bar.querySelector('.terminal-search-next').addEventListener('click', () => this.find('next'));
+		this.bar.querySelector('.terminal-search-close').addEventListener('click', () => this.close());
+	}
+
+	isOpen() {
+		return !this.bar.hidden;
+	}
+
+	/**
+	 * Show the find bar, starting from the terminal selection when there is a single-line one
+	 */
+	open() {
+		const selection = this.terminal.getSelection();
+		if (selection && !selection.includes('\n')) {
+			this.input.value = selection;
+		}
+
+		this.bar.hidden = false;
+		this.input.focus();
+		this.input.select();
+		if (this.input.value) {
+			this.find('next', true);
+		}
+	}
+
+	/**
+	 * Hide the find bar and its highlights, returning focus to the terminal
+	 */
+	close() {
+		if (!this.isOpen()) return;
+
+		this.bar.hidden = true;
+		this.addon.clearDecorations();
+		this.terminal.clearSelection();
+		this.terminal.focus();
+	}
+
+	/**
+	 * Move to the next or previous match of the query
+	 */
+	find(direction, incremental = false) {
+		const term = this.input.value;
+		this.input.classList.remove('invalid');
+		if (!term) {
+			this.addon.clearDecorations();
+			this.terminal.clearSelection();
+			this.count.textContent = '';
+			return;
+		}
+
+		// The addon throws on patterns it cannot compile
+		if (this.options.regex) {
+			try {
+				new RegExp(term);
+			} catch {
+				this.input.classList.add('invalid');
+				this.addon.clearDecorations();
+				this.count.textContent = 'Invalid regex';
+				return;
+			}
+		}
+
+		const options = { ...this.options, incremental, decorations: MATCH_DECORATIONS };
+		if (direction === 'previous') {
+			this.addon.findPrevious(term, options);
+		} else {
+			this.addon.findNext(term, options);
+		}
+	}
+
+	showCount({ resultIndex, resultCount }) {
+		if (!this.input.value) return;
+
+		// The addon stops counting at the highlight limit, and the active match may lie beyond it
+		const total = resultCount >= HIGHLIGHT_LIMIT ? `${HIGHLIGHT_LIMIT}+` : resultCount;
+		if (resultCount === 0) {
+			this.count.textContent = 'No results';
+		} else if (resultIndex === -1) {
+			this.count.textContent = `${total} matches`;
+		} else {
+			this.count.textContent = `${resultIndex + 1} of ${total}`;
+		}
+	}
+
+	dispose() {
+		this.resultsListener.dispose();
+		this.bar.remove();
+	}
+}
@@ -1,29 +1,15 @@
 /**
- * AI Service for managing Ollama API interactions
+ * AI Service for managing AI provider interactions
  * Based on the ai-terminal project implementation
  */
 
+import { PROVIDERS, createProvider } from './providers/index.js';
+import { estimateTokens, readStreamLines } from './providers/aiProvider.js';
+import { DEFAULT_AI_SETTINGS, REDACTED_TOKEN, configToSettings, getSecretReference, resolveProfileSettings } from './aiSettings.js';
+
 export class AIService {
     constructor() {
-        this.defaultSettings = {
-            // Service configuration
-            aiServiceType: 'ollama', // 'ollama' or 'openai'
-            
-            // Ollama settings
-            ollamaHost: 'http://localhost:11434',
-            currentModel: 'llama3.2:latest',
-            
-            // OpenAI compatible settings
-            openaiBaseUrl: 'https://api.openai.com/v1',
-            openaiApiToken: '',
-            openaiModel: 'gpt-3.5-turbo',
-            
-            // Common settings
-            temperature: 0.7,
-            topP: 0.9,
-            maxTokens: 512,
-            systemPrompt: ''
-        };
+        this.defaultSettings = { ...DEFAULT_AI_SETTINGS };
         
         // Initialize with default settings first
         this.settings = { ...this.defaultSettings };
@@ -51,31 +37,7 @@ export class AIService {
             const response = await fetch('/api/ai-config');
             const config = await response.json();
             
-            if (config.ai) {
-                // Map ai-config.yaml structure to our settings structure
-                const configSettings = {
-                    aiServiceType: config.ai.serviceType || 'ollama',
-                    
-                    // Ollama settings
-                    ollamaHost: config.ai.ollama?.host || 'http://localhost:11434',
-                    currentModel: config.ai.ollama?.model || 'llama3.2:latest',
-                    
-                    // OpenAI settings
-                    openaiBaseUrl: config.ai.openai?.baseUrl || 'https://api.openai.com/v1',
-                    openaiApiToken: config.ai.openai?.apiToken || '',
-                    openaiModel: config.ai.openai?.model || 'gpt-3.5-turbo',
-                    
-                    // Common parameters
-                    temperature: config.ai.parameters?.temperature ?? 0.7,
-                    topP: config.ai.parameters?.topP ?? 0.9,
-                    maxTokens: config.ai.parameters?.maxTokens ?? 512,
-                    systemPrompt: config.ai.parameters?.systemPrompt || ''
-                };
-                
-                return { ...this.defaultSettings, ...configSettings };
-            } else {
-                return { ...this.defaultSettings };
-            }
+            return configToSettings(config);
         } catch (error) {
             console.warn('Failed to load AI settings from ai-config.yaml:', error);
             return { ...this.defaultSettings };
@@ -83,7 +45,7 @@ export class AIService {
     }
 
     /**
-     * Save AI settings to config.yaml via API
+     * Save AI settings to ai-config.yaml via API
      */
     async saveSettings(settings) {
         try {
@@ -91,14 +53,18 @@ export class AIService {
             this.settings = { ...this.settings, ...settings };
             
             // Get current config
-            const response = await fetch('/api/config');
+            const response = await fetch('/api/ai-config');
             const config = await response.json();
             
             // Update config structure with new settings
             if (!config.ai) config.ai = {};
             if (!config.ai.ollama) config.ai.ollama = {};
             if (!config.ai.openai) config.ai.openai = {};
+            if (!config.ai.anthropic) config.ai.anthropic = {};
+            if (!config.ai.gemini) config.ai.gemini = {};
+            if (!config.ai.llamacpp) config.ai.llamacpp = {};
             if (!config.ai.parameters) config.ai.parameters = {};
+            if (!config.ai.context) config.ai.context = {};
             
             // Map settings to config structure
             if (settings.aiServiceType !== undefined) {
@@ -124,6 +90,19 @@ export class AIService {
                 config.ai.openai.model = settings.openaiModel;
             }
             
+            // Anthropic, Gemini and llama.cpp settings
+            ['anthropic', 'gemini', 'llamacpp'].forEach(type => {
+                if (settings[`${type}BaseUrl`] !== undefined) {
+                    config.ai[type].baseUrl = settings[`${type}BaseUrl`];
+                }
+                if (settings[`${type}ApiToken`] !== undefined) {
+                    config.ai[type].apiToken = settings[`${type}ApiToken`];
+                }
+                if (settings[`${type}Model`] !== undefined) {
+                    config.ai[type].model = settings[`${type}Model`];
+                }
+            });
+            
             // Parameters
             if (settings.temperature !== undefined) {
                 config.ai.parameters.temperature = settings.temperature;
@@ -138,8 +117,33 @@ export class AIService {
                 config.ai.parameters.systemPrompt = settings.systemPrompt;
             }
             
-            // Save to config.yaml
-            const saveResponse = await fetch('/api/config', {
+            // Conversation context
+            if (settings.contextMode !== undefined) {
+                config.ai.context.mode = settings.contextMode;
+            }
+            if (settings.contextMaxTurns !== undefined) {
+                config.ai.context.maxTurns = settings.contextMaxTurns;
+            }
+            if (settings.contextMaxTokens !== undefined) {
+                config.ai.context.maxTokens = settings.contextMaxTokens;
+            }
+            if (settings.contextSummarize !== undefined) {
+                config.ai.context.summarize = settings.contextSummarize;
+            }
+            if (settings.contextTerminalLines !== undefined) {
+                config.ai.context.terminalLines = settings.contextTerminalLines;
+            }
+            
+            // Profiles
+            if (settings.profiles !== undefined) {
+                config.ai.profiles = settings.profiles;
+            }
+            if (settings.activeProfile !== undefined) {
+                config.ai.activeProfile = settings.activeProfile;
+            }
+            
+            // Save to ai-config.yaml
+            const saveResponse = await fetch('/api/ai-config', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -148,13 +152,13 @@ export class AIService {
             });
             
             if (!saveResponse.ok) {
-                throw new Error('Failed to save settings to config.yaml');
+                throw new Error('Failed to save settings to ai-config.yaml');
             }
             
-            console.log('Settings saved to config.yaml successfully');
+            console.log('Settings saved to ai-config.yaml successfully');
             
         } catch (error) {
-            console.error('Failed to save settings to config.yaml:', error);
+            console.error('Failed to save settings to ai-config.yaml:', error);
             // Keep the error from breaking the application
         }
     }
@@ -167,78 +171,91 @@ export class AIService {
     }
 
     /**
-     * Test connection to configured AI service
+     * Get the provider for the active profile, or for `settings` when given.
+     * Only used for its metadata (label, model, URL) here: requests go through the /api/ai routes,
+     * which hold the API tokens.
      */
-    async testConnection() {
-        if (this.settings.aiServiceType === 'ollama') {
-            return await this.testOllamaConnection();
-        } else if (this.settings.aiServiceType === 'openai') {
-            return await this.testOpenAIConnection();
-        } else {
-            throw new Error(`Unknown AI service type: ${this.settings.aiServiceType}`);
-        }
+    getProvider(settings = this.resolveSettings()) {
+        return createProvider(settings);
     }
 
     /**
-     * Test connection to Ollama API
+     * Get a profile by id, or the active profile. Returns null for the default configuration.
      */
-    async testOllamaConnection() {
-        try {
-            const response = await fetch(`${this.settings.ollamaHost}/api/tags`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+    getProfile(profileId = this.settings.activeProfile) {
+        const profile = profileId ? this.settings.profiles?.[profileId] : null;
+        return profile ? { id: profileId, name: profile.name || profileId, ...profile } : null;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    /**
+     * List the configured profiles
+     */
+    getProfiles() {
+        return Object.keys(this.settings.profiles || {}).map(id => this.getProfile(id));
+    }
 
-            this.isConnected = true;
-            return { success: true, data: await response.json() };
-        } catch (error) {
-            this.isConnected = false;
-            throw error;
-        }
+    /**
+     * Find a profile by id or display name (case-insensitive)
+     */
+    findProfile(nameOrId) {
+        const wanted = nameOrId.toLowerCase();
+        return this.getProfiles().find(profile => profile.id.toLowerCase() === wanted || profile.name.toLowerCase() === wanted) || null;
     }
 
     /**
-     * Test connection to OpenAI compatible API
+     * Switch to a profile, or back to the default configuration with an empty id
      */
-    async testOpenAIConnection() {
-        if (!this.settings.openaiApiToken) {
-            throw new Error('OpenAI API token is not configured. Please set your API token in settings.');
+    async setActiveProfile(profileId) {
+        if (profileId && !this.getProfile(profileId)) {
+            throw new Error(`Unknown profile: ${profileId}`);
         }
+        await this.saveSettings({ activeProfile: profileId || '' });
+    }
 
-        try {
-            const response = await fetch(`${this.settings.openaiBaseUrl}/models`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.settings.openaiApiToken}`
-                }
-            });
+    /**
+     * Settings with a profile's provider, model, parameters and system prompt applied on top
+     */
+    resolveSettings(settings = this.settings, profileId = settings.activeProfile) {
+        return resolveProfileSettings(settings, profileId);
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-            }
+    /**
+     * Change fields of a profile; fields set to undefined are removed
+     */
+    async updateProfile(profileId, changes) {
+        const profiles = { ...this.settings.profiles };
+        const profile = { ...profiles[profileId], ...changes };
+        Object.keys(changes).forEach(key => {
+            if (changes[key] === undefined) delete profile[key];
+        });
+        profiles[profileId] = profile;
+        await this.saveSettings({ profiles });
+    }
 
+    /**
+     * Describe who answers with a profile (the active one by default), recorded with each message
+     */
+    describeProfile(profileId = this.settings.activeProfile) {
+        const profile = this.getProfile(profileId);
+        const provider = this.getProvider(this.resolveSettings(this.settings, profileId));
+        return {
+            profile: profile ? profile.id : null,
+            name: profile ? profile.name : 'Default',
+            provider: provider.constructor.id,
+            model: provider.model || provider.label
+        };
+    }
+
+    /**
+     * Test connection to configured AI service
+     */
+    async testConnection() {
+        try {
+            const result = await this.requestServer('/api/ai/test', { profile: this.settings.activeProfile });
             this.isConnected = true;
-            const data = await response.json();
-            return { success: true, data: data };
+            return result;
         } catch (error) {
             this.isConnected = false;
-            
-            // Provide specific error messages
-            if (error.message.includes('401')) {
-                throw new Error('Invalid API token. Please check your OpenAI API token.');
-            }
-            
-            if (error.message.includes('Failed to fetch')) {
-                throw new Error(`Could not connect to OpenAI API at ${this.settings.openaiBaseUrl}.`);
-            }
-            
             throw error;
         }
     }
@@ -247,241 +264,158 @@ export class AIService {
      * Get available models from configured AI service
      */
     async getAvailableModels() {
-        if (this.settings.aiServiceType === 'ollama') {
-            return await this.getOllamaModels();
-        } else if (this.settings.aiServiceType === 'openai') {
-            return await this.getOpenAIModels();
-        } else {
-            throw new Error(`Unknown AI service type: ${this.settings.aiServiceType}`);
-        }
-    }
-
-    /**
-     * Get available models from Ollama
-     */
-    async getOllamaModels() {
         try {
-            const response = await fetch(`${this.settings.ollamaHost}/api/tags`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            return data.models || [];
+            const params = new URLSearchParams({ profile: this.settings.activeProfile });
+            const { models } = await this.requestServer(`/api/ai/models?${params}`);
+            return models;
         } catch (error) {
-            console.error('Failed to fetch Ollama models:', error);
+            console.error(`Failed to fetch ${this.getProvider().label} models:`, error);
             throw error;
         }
     }
 
     /**
-     * Get available models from OpenAI API
+     * Generate AI response using the configured provider
+     * Pass `onToken` to stream the answer chunk by chunk and `signal` (AbortSignal) to cancel it.
+     * `history` holds earlier turns as { role, content } messages and `summary` condenses turns older than that.
+     * `terminalContext` ({ label, text }) attaches terminal output to this message only.
+     * `cwd` is the working directory of the active terminal, mentioned in the system prompt.
+     * `profile` answers with a profile other than the active one ('' for the default configuration).
+     * Resolves with the full response text either way.
      */
-    async getOpenAIModels() {
-        if (!this.settings.openaiApiToken) {
-            throw new Error('OpenAI API token is not configured');
-        }
+    async generateResponse(message, options = {}) {
+        const { onToken, signal, history = [], summary = '', terminalContext, cwd, profile = this.settings.activeProfile, ...overrides } = options;
+        const settings = { ...this.resolveSettings(this.settings, profile), ...overrides };
+        const provider = this.getProvider(settings);
+        const messages = this.buildMessages(message, settings, { history, summary, terminalContext, cwd });
+
+        console.log(`Sending request to ${provider.label} with model: ${provider.model || '(default)'}`);
 
         try {
-            const response = await fetch(`${this.settings.openaiBaseUrl}/models`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.settings.openaiApiToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
+            if (!onToken) {
+                const { response } = await this.requestServer('/api/ai/chat', { profile, messages }, signal);
+                return response;
             }
-            
-            const data = await response.json();
-            
-            // Transform OpenAI API response to match our expected format
-            return data.data.map(model => ({
-                name: model.id,
-                size: 0, // OpenAI API doesn't provide size info
-                digest: model.id,
-                details: {
-                    families: null,
-                    format: 'openai',
-                    parameter_size: 'Unknown'
-                }
-            }));
+            return await this.streamResponse({ profile, messages }, signal, onToken);
         } catch (error) {
-            console.error('Failed to fetch OpenAI models:', error);
-            
-            // Return common OpenAI models as fallback
-            return [
-                { name: 'gpt-3.5-turbo', size: 0, digest: 'gpt-3.5-turbo' },
-                { name: 'gpt-4', size: 0, digest: 'gpt-4' },
-                { name: 'gpt-4-turbo', size: 0, digest: 'gpt-4-turbo' },
-                { name: 'gpt-4o', size: 0, digest: 'gpt-4o' },
-                { name: 'gpt-4o-mini', size: 0, digest: 'gpt-4o-mini' }
-            ];
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error calling ${provider.label}:`, error);
+            throw error;
         }
     }
 
     /**
-     * Generate AI response using configured service (Ollama or OpenAI)
+     * Count the tokens a message takes up with the configured provider
      */
-    async generateResponse(message, options = {}) {
-        const settings = { ...this.settings, ...options };
-        
-        if (settings.aiServiceType === 'ollama') {
-            return await this.callOllamaAPI(message, settings);
-        } else if (settings.aiServiceType === 'openai') {
-            return await this.callOpenAIAPI(message, settings);
-        } else {
-            throw new Error(`Unknown AI service type: ${settings.aiServiceType}`);
-        }
+    async countTokens(text) {
+        const { tokens } = await this.requestServer('/api/ai/tokens', {
+            profile: this.settings.activeProfile,
+            messages: [{ role: 'user', content: text }]
+        });
+        return tokens;
     }
 
     /**
-     * Call Ollama API
+     * Call an /api/ai route, POSTing `body` as JSON when given, and return the parsed reply
      */
-    async callOllamaAPI(message, settings) {
-        try {
-            // Get operating system info for context
-            const os = this.getOperatingSystem();
-            
-            // Create system prompt with OS information and formatting instructions
-            const systemPrompt = settings.systemPrompt || this.createDefaultSystemPrompt(os);
-            
-            // Combine system prompt with user message
-            const combinedPrompt = `${systemPrompt}\n\nUser: ${message}`;
-
-            const requestBody = {
-                model: settings.currentModel,
-                prompt: combinedPrompt,
-                stream: false,
-                options: {
-                    temperature: settings.temperature,
-                    top_p: settings.topP,
-                    num_predict: settings.maxTokens
-                }
-            };
-
-            console.log('Sending request to Ollama:', requestBody);
-
-            const response = await fetch(`${settings.ollamaHost}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Ollama API error (${response.status}): ${errorText}`);
-            }
-
-            const data = await response.json();
-            console.log('Ollama response:', data);
-
-            if (!data.response) {
-                throw new Error('Unexpected response format from Ollama');
-            }
-
-            return data.response;
-        } catch (error) {
-            console.error('Error calling Ollama API:', error);
-            
-            // Provide specific error messages for different failure types
-            if (error.message.includes('Failed to fetch')) {
-                throw new Error(`Could not connect to Ollama at ${settings.ollamaHost}. Make sure Ollama is running.`);
-            }
-            
-            throw error;
+    async requestServer(path, body, signal) {
+        const response = await fetch(path, body === undefined ? { signal } : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed: ${response.status} ${response.statusText}`);
         }
+        return data;
     }
 
     /**
-     * Call OpenAI compatible API
+     * Stream a reply from /api/ai/chat, which sends NDJSON lines of { token } or { error }
      */
-    async callOpenAIAPI(message, settings) {
-        try {
-            console.log(`Calling OpenAI compatible API with model: ${settings.openaiModel}`);
+    async streamResponse(body, signal, onToken) {
+        const response = await fetch('/api/ai/chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, stream: true }),
+            signal
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed: ${response.status} ${response.statusText}`);
+        }
 
-            if (!settings.openaiApiToken) {
-                throw new Error('OpenAI API token is not configured. Please set your API token in settings.');
+        let fullResponse = '';
+        await readStreamLines(response, (line) => {
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(data.error);
             }
+            fullResponse += data.token;
+            onToken(data.token, fullResponse);
+        });
+        return fullResponse;
+    }
 
-            // Get operating system info for context
-            const os = this.getOperatingSystem();
-            
-            // Create system prompt with OS information and formatting instructions
-            const systemPrompt = settings.systemPrompt || this.createDefaultSystemPrompt(os);
-
-            const requestBody = {
-                model: settings.openaiModel,
-                messages: [
-                    {
-                        role: "system",
-                        content: systemPrompt
-                    },
-                    {
-                        role: "user",
-                        content: message
-                    }
-                ],
-                temperature: settings.temperature,
-                max_tokens: settings.maxTokens,
-                stream: false
-            };
-
-            console.log(`Sending request to ${settings.openaiBaseUrl}/chat/completions`, requestBody);
-
-            const response = await fetch(`${settings.openaiBaseUrl}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${settings.openaiApiToken}`
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            console.log(`OpenAI Response status: ${response.status}`);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`OpenAI API error (${response.status}):`, errorText);
-                throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
-            }
+    /**
+     * Build the chat messages array: system prompt, summary of older turns, recent turns, then the new message
+     */
+    buildMessages(message, settings, { history = [], summary = '', terminalContext, cwd } = {}) {
+        // Get operating system info for context
+        const os = this.getOperatingSystem();
+        
+        // Create system prompt with OS information and formatting instructions
+        let systemPrompt = settings.systemPrompt || this.createDefaultSystemPrompt(os);
+        // Lets relative paths in answers and suggested commands match where the shell is
+        if (cwd) {
+            systemPrompt += `\n\nThe user's shell is currently in this directory: ${cwd}`;
+        }
+        if (summary) {
+            systemPrompt += `\n\nSummary of the earlier conversation:\n${summary}`;
+        }
 
-            const data = await response.json();
-            console.log('OpenAI response:', data);
+        let content = message;
+        if (terminalContext && terminalContext.text) {
+            content += `\n\nTerminal output (${terminalContext.label}):\n<terminal-output>\n${terminalContext.text}\n</terminal-output>`;
+        }
 
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                console.error('Unexpected response format:', data);
-                throw new Error('Unexpected response format from OpenAI API');
-            }
+        return [
+            { role: 'system', content: systemPrompt },
+            ...history,
+            { role: 'user', content: content }
+        ];
+    }
 
-            return data.choices[0].message.content;
-        } catch (error) {
-            console.error('Error calling OpenAI compatible API:', error);
+    /**
+     * Rough token estimate (about four characters per token) used for the context budget
+     */
+    estimateTokens(text) {
+        return estimateTokens(text);
+    }
 
-            // Add more specific error messages for different failure types
-            if (error instanceof TypeError && error.message.includes('Failed to fetch')) {
-                throw new Error(`Could not connect to OpenAI API at ${settings.openaiBaseUrl}. Please check your configuration.`);
-            }
-            
-            if (error.message.includes('401')) {
-                throw new Error('Invalid API token. Please check your OpenAI API token in settings.');
-            }
-            
-            if (error.message.includes('429')) {
-                throw new Error('Rate limit exceeded. Please try again later.');
-            }
-            
-            if (error.message.includes('500')) {
-                throw new Error('OpenAI service is temporarily unavailable. Please try again later.');
-            }
+    /**
+     * Condense older conversation turns (and any previous summary) into a short summary
+     */
+    async summarizeConversation(turns, previousSummary = '', { signal, profile } = {}) {
+        const transcript = turns
+            .map(turn => `User: ${turn.message}\nAssistant: ${turn.response}`)
+            .join('\n\n');
+
+        const prompt = [
+            previousSummary ? `Summary so far:\n${previousSummary}` : '',
+            `Conversation:\n${transcript}`,
+            'Summarize the conversation above in a few sentences. Keep the goals, file names, paths and commands that later questions may refer to.'
+        ].filter(Boolean).join('\n\n');
+
+        const summary = await this.generateResponse(prompt, {
+            signal,
+            profile,
+            systemPrompt: 'You condense terminal assistant conversations into brief factual summaries. Reply with the summary only.'
+        });
 
-            throw error;
-        }
+        return summary.trim();
     }
 
     /**
@@ -490,6 +424,9 @@ export class AIService {
     async handleSpecialCommand(command) {
         const parts = command.split(' ');
         const cmd = parts[0].toLowerCase();
+        const provider = this.getProvider();
+        const keys = provider.constructor.settingKeys;
+        const profile = this.getProfile();
 
         switch (cmd) {
             case '/help':
@@ -500,7 +437,7 @@ export class AIService {
                     const models = await this.getAvailableModels();
                     let result = `Available models (${this.settings.aiServiceType}):\n`;
                     models.forEach(model => {
-                        if (this.settings.aiServiceType === 'ollama') {
+                        if (model.size > 0) {
                             const sizeGB = (model.size / 1024 / 1024 / 1024).toFixed(1);
                             result += `- ${model.name} (${sizeGB}GB)\n`;
                         } else {
@@ -515,29 +452,30 @@ export class AIService {
             case '/model':
                 if (parts.length > 1) {
                     const modelName = parts[1];
-                    if (this.settings.aiServiceType === 'ollama') {
-                        this.saveSettings({ currentModel: modelName });
-                        return `Switched Ollama model to: ${modelName}`;
-                    } else {
-                        this.saveSettings({ openaiModel: modelName });
-                        return `Switched OpenAI model to: ${modelName}`;
+                    // With a profile active the change belongs to the profile
+                    if (profile) {
+                        this.updateProfile(profile.id, { model: modelName });
+                        return `Switched model of profile ${profile.name} to: ${modelName}`;
                     }
+                    this.saveSettings({ [keys.model]: modelName });
+                    return `Switched ${provider.label} model to: ${modelName}`;
                 } else {
-                    if (this.settings.aiServiceType === 'ollama') {
-                        return `Current Ollama model: ${this.settings.currentModel}`;
-                    } else {
-                        return `Current OpenAI model: ${this.settings.openaiModel}`;
-                    }
+                    return `Current ${provider.label} model: ${provider.model || '(server default)'}`;
                 }
                 
             case '/service':
                 if (parts.length > 1) {
                     const serviceType = parts[1];
-                    if (serviceType === 'ollama' || serviceType === 'openai') {
+                    if (PROVIDERS[serviceType]) {
+                        // A profile's model belongs to its old provider, so the new provider's model applies
+                        if (profile) {
+                            this.updateProfile(profile.id, { serviceType, model: undefined });
+                            return `Switched profile ${profile.name} to ${serviceType} service`;
+                        }
                         this.saveSettings({ aiServiceType: serviceType });
                         return `Switched to ${serviceType} service`;
                     } else {
-                        return 'Invalid service type. Use: ollama or openai';
+                        return `Invalid service type. Use: ${Object.keys(PROVIDERS).join(', ')}`;
                     }
                 } else {
                     return `Current AI service: ${this.settings.aiServiceType}`;
@@ -546,60 +484,91 @@ export class AIService {
             case '/host':
                 if (parts.length > 1) {
                     const hostUrl = parts.slice(1).join(' ');
-                    if (this.settings.aiServiceType === 'ollama') {
-                        this.saveSettings({ ollamaHost: hostUrl });
-                        return `Changed Ollama API host to: ${hostUrl}`;
-                    } else {
-                        this.saveSettings({ openaiBaseUrl: hostUrl });
-                        return `Changed OpenAI API base URL to: ${hostUrl}`;
-                    }
+                    this.saveSettings({ [keys.baseUrl]: hostUrl });
+                    return `Changed ${provider.label} API URL to: ${hostUrl}`;
                 } else {
-                    if (this.settings.aiServiceType === 'ollama') {
-                        return `Current Ollama API host: ${this.settings.ollamaHost}`;
-                    } else {
-                        return `Current OpenAI API base URL: ${this.settings.openaiBaseUrl}`;
-                    }
+                    return `Current ${provider.label} API URL: ${provider.baseUrl}`;
                 }
                 
             case '/token':
-                if (this.settings.aiServiceType !== 'openai') {
-                    return 'Token command is only available for OpenAI service';
+                if (!keys.apiToken) {
+                    return `Token command is not available for ${provider.label}`;
                 }
                 if (parts.length > 1) {
                     const token = parts[1];
-                    this.saveSettings({ openaiApiToken: token });
-                    return `OpenAI API token updated`;
+                    await this.saveSettings({ [keys.apiToken]: token });
+                    // The server stores the token encrypted; keep only the placeholder here
+                    if (!getSecretReference(token)) {
+                        this.settings[keys.apiToken] = REDACTED_TOKEN;
+                    }
+                    return `${provider.label} API token updated`;
+                } else {
+                    return `Current ${provider.label} API token: ${this.describeToken(provider.apiToken)}`;
+                }
+                
+            case '/profile':
+                if (parts.length > 1) {
+                    const name = parts.slice(1).join(' ');
+                    if (['default', 'none'].includes(name.toLowerCase()) && !this.findProfile(name)) {
+                        await this.setActiveProfile('');
+                        return 'Switched to the default configuration';
+                    }
+
+                    const target = this.findProfile(name);
+                    if (!target) {
+                        return `Unknown profile: ${name}. Type /profile to list profiles.`;
+                    }
+                    await this.setActiveProfile(target.id);
+                    const answeredBy = this.describeProfile(target.id);
+                    return `Switched to profile ${target.name} (${answeredBy.provider}, ${answeredBy.model})`;
                 } else {
-                    const token = this.settings.openaiApiToken;
-                    return `Current OpenAI API token: ${token ? `${token.substring(0, 10)}...` : 'Not set'}`;
+                    const profiles = this.getProfiles();
+                    if (profiles.length === 0) {
+                        return 'No profiles configured. Add them under ai.profiles in ai-config.yaml.';
+                    }
+                    let result = 'Profiles (* = active):\n';
+                    result += `${profile ? ' ' : '*'} default - ${this.describeProfile('').provider}\n`;
+                    profiles.forEach(item => {
+                        const answeredBy = this.describeProfile(item.id);
+                        result += `${item.id === profile?.id ? '*' : ' '} ${item.id} - ${item.name} (${answeredBy.provider}, ${answeredBy.model})\n`;
+                    });
+                    return result;
+                }
+                
+            case '/tokens':
+                if (parts.length < 2) {
+                    return 'Usage: /tokens <text>';
+                }
+                try {
+                    const count = await this.countTokens(parts.slice(1).join(' '));
+                    return `${count} tokens (${provider.label})`;
+                } catch (error) {
+                    return `Error: Failed to count tokens: ${error.message}`;
                 }
                 
             case '/status':
+                const resolved = this.resolveSettings();
                 let status = `AI Service Configuration:\n`;
-                status += `Service Type: ${this.settings.aiServiceType}\n\n`;
+                status += `Profile: ${profile ? `${profile.name} (${profile.id})` : 'Default'}\n`;
+                status += `Service Type: ${provider.constructor.id}\n\n`;
                 
-                if (this.settings.aiServiceType === 'ollama') {
-                    status += `Ollama Configuration:\n`;
-                    status += `- Host: ${this.settings.ollamaHost}\n`;
-                    status += `- Model: ${this.settings.currentModel}\n`;
-                } else {
-                    status += `OpenAI Configuration:\n`;
-                    status += `- Base URL: ${this.settings.openaiBaseUrl}\n`;
-                    status += `- Model: ${this.settings.openaiModel}\n`;
-                    const token = this.settings.openaiApiToken;
-                    status += `- Token: ${token ? `${token.substring(0, 10)}...` : 'Not set'}\n`;
+                status += `${provider.label} Configuration:\n`;
+                status += `- API URL: ${provider.baseUrl}\n`;
+                status += `- Model: ${provider.model || '(server default)'}\n`;
+                if (keys.apiToken) {
+                    status += `- Token: ${this.describeToken(provider.apiToken)}\n`;
                 }
                 
                 status += `\nCommon Settings:\n`;
-                status += `- Temperature: ${this.settings.temperature}\n`;
-                status += `- Max Tokens: ${this.settings.maxTokens}`;
+                status += `- Temperature: ${resolved.temperature}\n`;
+                status += `- Max Tokens: ${resolved.maxTokens}`;
                 
                 return status;
                 
             case '/retry':
                 try {
                     await this.testConnection();
-                    return `Successfully reconnected to ${this.settings.aiServiceType} API!`;
+                    return `Successfully reconnected to ${provider.label}!`;
                 } catch (error) {
                     return `Failed to reconnect: ${error.message}`;
                 }
@@ -617,28 +586,29 @@ export class AIService {
      * Get help message for available commands
      */
     getHelpMessage() {
+        const provider = this.getProvider();
         let helpMessage = `Available commands:
 /help - Show this help message
 /status - Show current configuration
-/service [ollama|openai] - Show or switch AI service provider
+/service [${Object.keys(PROVIDERS).join('|')}] - Show or switch AI service provider
 /models - List available models for current service
 /model [name] - Show current model or switch to a different model
+/profile [name|default] - List profiles or switch to a profile
+/tokens <text> - Count the tokens of a text with the current model
 /retry - Test connection to current AI service
 /clear - Clear the AI chat history
 
 Service-specific commands:
-`;
+/host [url] - Show or set ${provider.label} API URL`;
         
-        if (this.settings.aiServiceType === 'ollama') {
-            helpMessage += `/host [url] - Show or set Ollama API host
-Examples: /host http://localhost:11434`;
-        } else {
-            helpMessage += `/host [url] - Show or set OpenAI API base URL
-/token [token] - Show or set OpenAI API token
-Examples: /host https://api.openai.com/v1
-         /token sk-...`;
+        if (provider.constructor.settingKeys.apiToken) {
+            helpMessage += `
+/token [token|\${ENV_VAR}] - Show or set ${provider.label} API token`;
         }
 
+        helpMessage += `
+Examples: /host ${this.defaultSettings[provider.constructor.settingKeys.baseUrl]}`;
+
         helpMessage += `
 
 Format rules for terminal commands:
@@ -757,14 +727,25 @@ IMPORTANT RULES:
         }
     }
 
+    /**
+     * Describe an API token without revealing it; saved tokens only reach the browser as a placeholder
+     */
+    describeToken(token) {
+        if (!token) return 'Not set';
+        const reference = getSecretReference(token);
+        if (reference) return `From environment variable ${reference}`;
+        return token === REDACTED_TOKEN ? 'Set (stored encrypted on the server)' : `${token.substring(0, 10)}...`;
+    }
+
     /**
      * Get connection status
      */
     getConnectionStatus() {
+        const provider = this.getProvider();
         return {
             isConnected: this.isConnected,
-            host: this.settings.ollamaHost,
-            model: this.settings.currentModel
+            host: provider.baseUrl,
+            model: provider.model
         };
     }
 
@@ -788,24 +769,53 @@ IMPORTANT RULES:
                         apiToken: '',
                         model: 'gpt-3.5-turbo'
                     },
+                    anthropic: {
+                        baseUrl: 'https://api.anthropic.com',
+                        apiToken: '',
+                        model: 'claude-sonnet-4-5'
+                    },
+                    gemini: {
+                        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+                        apiToken: '',
+                        model: 'gemini-2.5-flash'
+                    },
+                    llamacpp: {
+                        baseUrl: 'http://localhost:1234/v1',
+                        apiToken: '',
+                        model: ''
+                    },
                     parameters: {
                         temperature: 0.7,
                         topP: 0.9,
                         maxTokens: 512,
                         systemPrompt: ''
+                    },
+                    context: {
+                        mode: 'turns',
+                        maxTurns: 10,
+                        maxTokens: 2048,
+                        summarize: true,
+                        terminalLines: 50
                     }
                 }
             };
             
             // Get current config and only reset AI section
-            const response = await fetch('/api/config');
+            const response = await fetch('/api/ai-config');
+            if (!response.ok) {
+                throw new Error('Failed to read ai-config.yaml');
+            }
             const config = await response.json();
             
-            // Update only AI settings, keep other settings
-            config.ai = defaultConfig.ai;
+            // Update only AI settings, keep other settings and the saved profiles
+            config.ai = {
+                ...defaultConfig.ai,
+                profiles: config.ai?.profiles || {},
+                activeProfile: config.ai?.activeProfile || ''
+            };
             
-            // Save to config.yaml
-            const saveResponse = await fetch('/api/config', {
+            // Save to ai-config.yaml
+            const saveResponse = await fetch('/api/ai-config', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -814,13 +824,13 @@ IMPORTANT RULES:
             });
             
             if (!saveResponse.ok) {
-                throw new Error('Failed to reset settings in config.yaml');
+                throw new Error('Failed to reset settings in ai-config.yaml');
             }
             
-            console.log('AI settings reset to defaults in config.yaml');
+            console.log('AI settings reset to defaults in ai-config.yaml');
             
         } catch (error) {
-            console.error('Failed to reset settings in config.yaml:', error);
+            console.error('Failed to reset settings in ai-config.yaml:', error);
         }
     }
 }
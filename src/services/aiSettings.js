@@ -0,0 +1,147 @@
+/**
+ * AI Settings
+ * Maps ai-config.yaml to the flat settings the AI service and providers use, and applies
+ * named profiles on top. Shared by the browser and the server-side AI routes.
+ */
+
+import { getProviderClass } from './providers/index.js';
+
+// Shown in place of a saved API token; the tokens themselves stay in ai-config.yaml on the server
+export const REDACTED_TOKEN = '********';
+
+/**
+ * Name of the environment variable an API token refers to (`${OPENAI_API_KEY}`), or null.
+ * The server resolves these, so the token never has to be written to ai-config.yaml.
+ */
+export function getSecretReference(value) {
+    const match = typeof value === 'string' ? value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/) : null;
+    return match ? match[1] : null;
+}
+
+export const DEFAULT_AI_SETTINGS = {
+    // Service configuration
+    aiServiceType: 'ollama', // A key of PROVIDERS: 'ollama', 'openai', 'anthropic', 'gemini' or 'llamacpp'
+    
+    // Ollama settings
+    ollamaHost: 'http://localhost:11434',
+    currentModel: 'llama3.2:latest',
+    
+    // OpenAI compatible settings
+    openaiBaseUrl: 'https://api.openai.com/v1',
+    openaiApiToken: '',
+    openaiModel: 'gpt-3.5-turbo',
+    
+    // Anthropic settings
+    anthropicBaseUrl: 'https://api.anthropic.com',
+    anthropicApiToken: '',
+    anthropicModel: 'claude-sonnet-4-5',
+    
+    // Google Gemini settings
+    geminiBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    geminiApiToken: '',
+    geminiModel: 'gemini-2.5-flash',
+    
+    // llama.cpp server / LM Studio settings
+    llamacppBaseUrl: 'http://localhost:1234/v1',
+    llamacppApiToken: '',
+    llamacppModel: '',
+    
+    // Common settings
+    temperature: 0.7,
+    topP: 0.9,
+    maxTokens: 512,
+    systemPrompt: '',
+    
+    // Conversation context settings
+    contextMode: 'turns', // 'turns' or 'tokens'
+    contextMaxTurns: 10,
+    contextMaxTokens: 2048,
+    contextSummarize: true,
+    contextTerminalLines: 50, // Lines attached by the "last lines" terminal context
+    
+    // Named profiles ({ name, serviceType, model, parameters, systemPrompt }) by id, and the one in use
+    profiles: {},
+    activeProfile: '' // Empty uses the settings above as they are
+};
+
+/**
+ * Map the ai-config.yaml structure to settings, filling in defaults
+ */
+export function configToSettings(config) {
+    if (!config || !config.ai) {
+        return { ...DEFAULT_AI_SETTINGS };
+    }
+
+    const configSettings = {
+        aiServiceType: config.ai.serviceType || 'ollama',
+        
+        // Ollama settings
+        ollamaHost: config.ai.ollama?.host || 'http://localhost:11434',
+        currentModel: config.ai.ollama?.model || 'llama3.2:latest',
+        
+        // OpenAI settings
+        openaiBaseUrl: config.ai.openai?.baseUrl || 'https://api.openai.com/v1',
+        openaiApiToken: config.ai.openai?.apiToken || '',
+        openaiModel: config.ai.openai?.model || 'gpt-3.5-turbo',
+        
+        // Anthropic settings
+        anthropicBaseUrl: config.ai.anthropic?.baseUrl || 'https://api.anthropic.com',
+        anthropicApiToken: config.ai.anthropic?.apiToken || '',
+        anthropicModel: config.ai.anthropic?.model || 'claude-sonnet-4-5',
+        
+        // Gemini settings
+        geminiBaseUrl: config.ai.gemini?.baseUrl || 'https://generativelanguage.googleapis.com/v1beta',
+        geminiApiToken: config.ai.gemini?.apiToken || '',
+        geminiModel: config.ai.gemini?.model || 'gemini-2.5-flash',
+        
+        // llama.cpp / LM Studio settings
+        llamacppBaseUrl: config.ai.llamacpp?.baseUrl || 'http://localhost:1234/v1',
+        llamacppApiToken: config.ai.llamacpp?.apiToken || '',
+        llamacppModel: config.ai.llamacpp?.model || '',
+        
+        // Common parameters
+        temperature: config.ai.parameters?.temperature ?? 0.7,
+        topP: config.ai.parameters?.topP ?? 0.9,
+        maxTokens: config.ai.parameters?.maxTokens ?? 512,
+        systemPrompt: config.ai.parameters?.systemPrompt || '',
+        
+        // Conversation context
+        contextMode: config.ai.context?.mode || 'turns',
+        contextMaxTurns: config.ai.context?.maxTurns ?? 10,
+        contextMaxTokens: config.ai.context?.maxTokens ?? 2048,
+        contextSummarize: config.ai.context?.summarize ?? true,
+        contextTerminalLines: config.ai.context?.terminalLines ?? 50,
+        
+        // Profiles
+        profiles: config.ai.profiles || {},
+        activeProfile: config.ai.activeProfile || ''
+    };
+
+    return { ...DEFAULT_AI_SETTINGS, ...configSettings };
+}
+
+/**
+ * Settings with a profile's provider, model, parameters and system prompt applied on top
+ */
+export function resolveProfileSettings(settings, profileId = settings.activeProfile) {
+    const profile = profileId ? settings.profiles?.[profileId] : null;
+    if (!profile) return settings;
+
+    const resolved = { ...settings };
+    if (profile.serviceType) {
+        resolved.aiServiceType = profile.serviceType;
+    }
+    if (profile.model) {
+        resolved[getProviderClass(resolved.aiServiceType).settingKeys.model] = profile.model;
+    }
+
+    const parameters = profile.parameters || {};
+    ['temperature', 'topP', 'maxTokens', 'systemPrompt'].forEach(key => {
+        if (parameters[key] !== undefined) resolved[key] = parameters[key];
+    });
+    if (profile.systemPrompt !== undefined) {
+        resolved.systemPrompt = profile.systemPrompt;
+    }
+
+    return resolved;
+}
@@ -8,9 +8,11 @@ export class ChatManager {
         this.chatHistory = [];
         this.isProcessing = false;
         this.maxHistorySize = 100; // Maximum number of chat entries to keep
+        this.contextSummary = null; // { text, throughId } summary of turns folded out of the context window
         
         // Load existing chat history
         this.loadChatHistory();
+        this.loadContextSummary();
         
         // Bind event handlers
         this.eventHandlers = {
@@ -55,6 +57,31 @@ export class ChatManager {
         }
     }
 
+    /**
+     * Load the conversation summary from localStorage
+     */
+    loadContextSummary() {
+        try {
+            const saved = localStorage.getItem('ai-chat-summary');
+            this.contextSummary = saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Failed to load conversation summary:', error);
+            this.contextSummary = null;
+        }
+    }
+
+    /**
+     * Store the summary of every turn up to and including `throughId`
+     */
+    setContextSummary(text, throughId) {
+        this.contextSummary = { text, throughId };
+        try {
+            localStorage.setItem('ai-chat-summary', JSON.stringify(this.contextSummary));
+        } catch (error) {
+            console.error('Failed to save conversation summary:', error);
+        }
+    }
+
     /**
      * Add a new message to chat history
      */
@@ -110,8 +137,10 @@ export class ChatManager {
      */
     clearChatHistory() {
         this.chatHistory = [];
+        this.contextSummary = null;
         this.saveChatHistory();
         localStorage.removeItem('ai-chat-history');
+        localStorage.removeItem('ai-chat-summary');
     }
 
     /**
@@ -134,6 +163,54 @@ export class ChatManager {
         return this.chatHistory.slice(-count);
     }
 
+    /**
+     * Split the conversation into the turns that fit the context budget and the older ones that do not.
+     * Budget is `maxTurns` turns in 'turns' mode, or `maxTokens` estimated tokens in 'tokens' mode.
+     * Turns already covered by the stored summary are left out of both lists.
+     */
+    getContextWindow({ mode = 'turns', maxTurns = 10, maxTokens = 2048, estimateTokens }) {
+        // Slash commands are local to the UI and never part of the conversation
+        let turns = this.chatHistory.filter(entry => entry.response && !entry.message.startsWith('/'));
+
+        const summary = this.contextSummary;
+        if (summary) {
+            // A missing id means the summarized turns were trimmed from history already
+            const summarizedIndex = turns.findIndex(entry => entry.id === summary.throughId);
+            turns = turns.slice(summarizedIndex + 1);
+        }
+
+        let used = summary && mode === 'tokens' ? estimateTokens(summary.text) : 0;
+        let start = turns.length;
+
+        while (start > 0) {
+            const turn = turns[start - 1];
+            const cost = mode === 'tokens'
+                ? estimateTokens(turn.message) + estimateTokens(turn.response)
+                : 1;
+            const limit = mode === 'tokens' ? maxTokens : maxTurns;
+            if (used + cost > limit) break;
+
+            used += cost;
+            start--;
+        }
+
+        return {
+            summary: summary ? summary.text : '',
+            turns: turns.slice(start),
+            overflow: turns.slice(0, start)
+        };
+    }
+
+    /**
+     * Convert chat entries to { role, content } messages for the model
+     */
+    toContextMessages(entries) {
+        return entries.flatMap(entry => [
+            { role: 'user', content: entry.message },
+            { role: 'assistant', content: entry.response }
+        ]);
+    }
+
     /**
      * Search chat history
      */
@@ -0,0 +1,189 @@
+/**
+ * AI Provider
+ * Base class for AI backends. Each provider reads its base URL, API token and model from the
+ * AI settings and implements the same interface: testConnection, listModels, chat, stream
+ * and countTokens. Chat messages are { role, content } with the system prompt first.
+ */
+
+export class AIProvider {
+    // Value of `ai.serviceType` that selects this provider
+    static id = '';
+    static label = '';
+
+    // Keys of the AI settings holding the base URL, API token and model; no apiToken key means no token
+    static settingKeys = {};
+
+    // Whether requests fail without an API token
+    static requiresToken = false;
+
+    constructor(settings) {
+        const keys = this.constructor.settingKeys;
+        this.settings = settings;
+        this.baseUrl = (settings[keys.baseUrl] || '').replace(/\/+$/, '');
+        this.apiToken = keys.apiToken ? settings[keys.apiToken] || '' : '';
+        this.model = settings[keys.model] || '';
+    }
+
+    get label() {
+        return this.constructor.label;
+    }
+
+    /**
+     * Check that the service is reachable and the credentials work
+     */
+    async testConnection() {
+        const models = await this.listModels();
+        return { success: true, data: { models } };
+    }
+
+    /**
+     * List available models as { name, size, digest, details }
+     */
+    async listModels() {
+        throw new Error(`${this.label} does not support listing models`);
+    }
+
+    /**
+     * Send chat messages and resolve with the reply text.
+     * `options`: { signal, temperature, topP, maxTokens }
+     */
+    async chat(messages, options = {}) {
+        throw new Error(`${this.label} does not support chat`);
+    }
+
+    /**
+     * Like chat, but calls `onToken(token, fullResponse)` as the reply streams in
+     */
+    async stream(messages, options = {}, onToken) {
+        throw new Error(`${this.label} does not support streaming`);
+    }
+
+    /**
+     * Count the tokens the messages take up. Providers without a tokenizer endpoint estimate.
+     */
+    async countTokens(messages) {
+        return estimateTokens(messages.map(message => message.content).join('\n'));
+    }
+
+    /**
+     * Headers added to every request (authentication, API version)
+     */
+    getHeaders() {
+        return {};
+    }
+
+    /**
+     * Throw when the provider needs a token and none is configured
+     */
+    requireToken() {
+        if (this.constructor.requiresToken && !this.apiToken) {
+            throw new Error(`${this.label} API token is not configured. Please set your API token in settings.`);
+        }
+    }
+
+    /**
+     * Send a request relative to the base URL and throw a readable error when it fails
+     */
+    async request(path, { method = 'GET', body, signal, headers = {} } = {}) {
+        this.requireToken();
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: {
+                    ...(body ? { 'Content-Type': 'application/json' } : {}),
+                    ...this.getHeaders(),
+                    ...headers
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Could not connect to ${this.label} at ${this.baseUrl}. ${this.getConnectHint()}`);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`${this.label} API error (${response.status}):`, errorText);
+            throw this.createHttpError(response.status, errorText);
+        }
+
+        return response;
+    }
+
+    getConnectHint() {
+        return 'Please check your configuration.';
+    }
+
+    createHttpError(status, errorText) {
+        const messages = {
+            401: `Invalid API token. Please check your ${this.label} API token in settings.`,
+            403: `Access denied. Please check your ${this.label} API token in settings.`,
+            429: 'Rate limit exceeded. Please try again later.'
+        };
+
+        const error = new Error(messages[status] || `${this.label} API error (${status}): ${errorText}`);
+        error.status = status;
+        return error;
+    }
+}
+
+/**
+ * Rough token estimate (about four characters per token)
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Split the leading system message from the conversation, for APIs that take it separately
+ */
+export function splitSystemPrompt(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    return { system, conversation: messages.filter(message => message.role !== 'system') };
+}
+
+/**
+ * Read a streaming response body line by line
+ */
+export async function readStreamLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) {
+                onLine(line.trim());
+            }
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        onLine(buffer.trim());
+    }
+}
+
+/**
+ * Read a server-sent events body, calling `onEvent(data)` with each parsed "data:" payload
+ */
+export async function readServerSentEvents(response, onEvent) {
+    await readStreamLines(response, (line) => {
+        if (!line.startsWith('data:')) return;
+
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+
+        onEvent(JSON.parse(payload));
+    });
+}
@@ -0,0 +1,96 @@
+/**
+ * Anthropic Provider
+ * Claude models through the Anthropic Messages API (/v1/messages, /v1/models)
+ */
+
+import { AIProvider, readServerSentEvents, splitSystemPrompt } from './aiProvider.js';
+import { toModelInfo } from './openaiProvider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export class AnthropicProvider extends AIProvider {
+    static id = 'anthropic';
+    static label = 'Anthropic';
+    static settingKeys = { baseUrl: 'anthropicBaseUrl', apiToken: 'anthropicApiToken', model: 'anthropicModel' };
+    static requiresToken = true;
+
+    async listModels() {
+        const response = await this.request('/v1/models?limit=100');
+        const data = await response.json();
+        return (data.data || []).map(model => toModelInfo(model.id, 'anthropic'));
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.request('/v1/messages', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, false),
+            signal: options.signal
+        });
+
+        const data = await response.json();
+        if (!Array.isArray(data.content)) {
+            console.error('Unexpected response format:', data);
+            throw new Error('Unexpected response format from Anthropic API');
+        }
+        return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const response = await this.request('/v1/messages', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, true),
+            signal: options.signal
+        });
+
+        // Text arrives in content_block_delta events; errors can still be reported mid-stream
+        let fullResponse = '';
+        await readServerSentEvents(response, (event) => {
+            if (event.type === 'error') {
+                throw new Error(`Anthropic API error: ${event.error?.message || 'unknown error'}`);
+            }
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                fullResponse += event.delta.text;
+                onToken(event.delta.text, fullResponse);
+            }
+        });
+        return fullResponse;
+    }
+
+    async countTokens(messages) {
+        const { system, conversation } = splitSystemPrompt(messages);
+        const response = await this.request('/v1/messages/count_tokens', {
+            method: 'POST',
+            body: { model: this.model, system: system || undefined, messages: conversation }
+        });
+        const data = await response.json();
+        return data.input_tokens;
+    }
+
+    buildRequestBody(messages, { temperature, maxTokens }, stream) {
+        const { system, conversation } = splitSystemPrompt(messages);
+        return {
+            model: this.model,
+            system: system || undefined,
+            messages: conversation,
+            max_tokens: maxTokens,
+            temperature,
+            stream
+        };
+    }
+
+    getHeaders() {
+        return {
+            'x-api-key': this.apiToken,
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+    }
+
+    createHttpError(status, errorText) {
+        if (status === 529) {
+            const error = new Error('Anthropic API is overloaded. Please try again later.');
+            error.status = status;
+            return error;
+        }
+        return super.createHttpError(status, errorText);
+    }
+}
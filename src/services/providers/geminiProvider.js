@@ -0,0 +1,96 @@
+/**
+ * Gemini Provider
+ * Google Gemini models through the Generative Language API (generateContent, countTokens)
+ */
+
+import { AIProvider, readServerSentEvents, splitSystemPrompt } from './aiProvider.js';
+import { toModelInfo } from './openaiProvider.js';
+
+export class GeminiProvider extends AIProvider {
+    static id = 'gemini';
+    static label = 'Gemini';
+    static settingKeys = { baseUrl: 'geminiBaseUrl', apiToken: 'geminiApiToken', model: 'geminiModel' };
+    static requiresToken = true;
+
+    async listModels() {
+        const response = await this.request('/models?pageSize=1000');
+        const data = await response.json();
+        return (data.models || [])
+            .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+            .map(model => toModelInfo(model.name.replace(/^models\//, ''), 'gemini'));
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.request(`${this.getModelPath()}:generateContent`, {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options),
+            signal: options.signal
+        });
+        return getCandidateText(await response.json());
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const response = await this.request(`${this.getModelPath()}:streamGenerateContent?alt=sse`, {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options),
+            signal: options.signal
+        });
+
+        // Each event carries the next piece of the candidate's text
+        let fullResponse = '';
+        await readServerSentEvents(response, (event) => {
+            const text = getCandidateText(event, false);
+            if (text) {
+                fullResponse += text;
+                onToken(text, fullResponse);
+            }
+        });
+        return fullResponse;
+    }
+
+    async countTokens(messages) {
+        const { systemInstruction, contents } = this.buildRequestBody(messages, {});
+        const response = await this.request(`${this.getModelPath()}:countTokens`, {
+            method: 'POST',
+            body: { generateContentRequest: { model: `models/${this.model}`, systemInstruction, contents } }
+        });
+        const data = await response.json();
+        return data.totalTokens;
+    }
+
+    getModelPath() {
+        return `/models/${encodeURIComponent(this.model.replace(/^models\//, ''))}`;
+    }
+
+    // Gemini calls the assistant "model" and takes the system prompt separately
+    buildRequestBody(messages, { temperature, topP, maxTokens }) {
+        const { system, conversation } = splitSystemPrompt(messages);
+        return {
+            systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+            contents: conversation.map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }]
+            })),
+            generationConfig: {
+                temperature,
+                topP,
+                maxOutputTokens: maxTokens
+            }
+        };
+    }
+
+    getHeaders() {
+        return { 'x-goog-api-key': this.apiToken };
+    }
+}
+
+function getCandidateText(data, required = true) {
+    const parts = data.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+        if (!required) return '';
+        console.error('Unexpected response format:', data);
+        const reason = data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason;
+        throw new Error(reason ? `Gemini returned no text (${reason})` : 'Unexpected response format from Gemini API');
+    }
+    return parts.map(part => part.text || '').join('');
+}
@@ -0,0 +1,37 @@
+/**
+ * AI Providers
+ * Registry of AI backends, selected by `ai.serviceType` in ai-config.yaml
+ */
+
+import { OllamaProvider } from './ollamaProvider.js';
+import { OpenAIProvider } from './openaiProvider.js';
+import { AnthropicProvider } from './anthropicProvider.js';
+import { GeminiProvider } from './geminiProvider.js';
+import { LlamaCppProvider } from './llamaCppProvider.js';
+
+export const PROVIDERS = {
+    ollama: OllamaProvider,
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    gemini: GeminiProvider,
+    llamacpp: LlamaCppProvider
+};
+
+/**
+ * Get the provider class for a service type
+ */
+export function getProviderClass(serviceType) {
+    const Provider = PROVIDERS[serviceType];
+    if (!Provider) {
+        throw new Error(`Unknown AI service type: ${serviceType}`);
+    }
+    return Provider;
+}
+
+/**
+ * Create the provider selected by `settings.aiServiceType`, configured from the settings
+ */
+export function createProvider(settings) {
+    const Provider = getProviderClass(settings.aiServiceType);
+    return new Provider(settings);
+}
@@ -0,0 +1,57 @@
+/**
+ * llama.cpp / LM Studio Provider
+ * Local OpenAI-compatible servers: llama.cpp's llama-server and LM Studio. The API token and
+ * model are optional since these servers usually run a single loaded model without auth.
+ */
+
+import { OpenAIProvider, toModelInfo } from './openaiProvider.js';
+
+export class LlamaCppProvider extends OpenAIProvider {
+    static id = 'llamacpp';
+    static label = 'llama.cpp / LM Studio';
+    static settingKeys = { baseUrl: 'llamacppBaseUrl', apiToken: 'llamacppApiToken', model: 'llamacppModel' };
+    static requiresToken = false;
+
+    async listModels() {
+        const response = await this.request('/models');
+        const data = await response.json();
+        return (data.data || []).map(model => toModelInfo(model.id, 'gguf'));
+    }
+
+    /**
+     * llama-server tokenizes with the loaded model at /tokenize (outside /v1); LM Studio has no
+     * tokenizer endpoint, so fall back to the estimate there
+     */
+    async countTokens(messages) {
+        try {
+            const root = new URL(this.baseUrl);
+            root.pathname = root.pathname.replace(/\/v1\/?$/, '');
+
+            const response = await fetch(`${root.toString().replace(/\/+$/, '')}/tokenize`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.getHeaders() },
+                body: JSON.stringify({ content: messages.map(message => message.content).join('\n') })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (Array.isArray(data.tokens)) return data.tokens.length;
+        } catch (error) {
+            console.warn('Tokenize endpoint unavailable, estimating token count:', error.message);
+        }
+        return super.countTokens(messages);
+    }
+
+    getConnectHint() {
+        return 'Make sure llama-server or the LM Studio server is running.';
+    }
+
+    createHttpError(status, errorText) {
+        if (status < 500) return super.createHttpError(status, errorText);
+
+        // Local servers report model load failures as 5xx, which are worth showing as is
+        const error = new Error(`${this.label} API error (${status}): ${errorText}`);
+        error.status = status;
+        return error;
+    }
+}
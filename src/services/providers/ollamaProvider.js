@@ -0,0 +1,77 @@
+/**
+ * Ollama Provider
+ * Local models served by Ollama (/api/tags, /api/chat)
+ */
+
+import { AIProvider, readStreamLines } from './aiProvider.js';
+
+export class OllamaProvider extends AIProvider {
+    static id = 'ollama';
+    static label = 'Ollama';
+    static settingKeys = { baseUrl: 'ollamaHost', model: 'currentModel' };
+
+    async testConnection() {
+        const response = await this.request('/api/tags');
+        return { success: true, data: await response.json() };
+    }
+
+    async listModels() {
+        const response = await this.request('/api/tags');
+        const data = await response.json();
+        return data.models || [];
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.request('/api/chat', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, false),
+            signal: options.signal
+        });
+
+        const data = await response.json();
+        if (!data.message || typeof data.message.content !== 'string') {
+            throw new Error('Unexpected response format from Ollama');
+        }
+        return data.message.content;
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const response = await this.request('/api/chat', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, true),
+            signal: options.signal
+        });
+
+        // Ollama sends one JSON object per line (NDJSON)
+        let fullResponse = '';
+        await readStreamLines(response, (line) => {
+            const chunk = JSON.parse(line);
+            if (chunk.error) {
+                throw new Error(`Ollama API error: ${chunk.error}`);
+            }
+            const token = chunk.message?.content;
+            if (token) {
+                fullResponse += token;
+                onToken(token, fullResponse);
+            }
+        });
+        return fullResponse;
+    }
+
+    buildRequestBody(messages, { temperature, topP, maxTokens }, stream) {
+        return {
+            model: this.model,
+            messages,
+            stream,
+            options: {
+                temperature,
+                top_p: topP,
+                num_predict: maxTokens
+            }
+        };
+    }
+
+    getConnectHint() {
+        return 'Make sure Ollama is running.';
+    }
+}
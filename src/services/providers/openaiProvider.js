@@ -0,0 +1,105 @@
+/**
+ * OpenAI Provider
+ * OpenAI and compatible Chat Completions APIs (/models, /chat/completions)
+ */
+
+import { AIProvider, readServerSentEvents } from './aiProvider.js';
+
+// Offered when the model list cannot be fetched
+const FALLBACK_MODELS = ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo', 'gpt-4o', 'gpt-4o-mini'];
+
+export class OpenAIProvider extends AIProvider {
+    static id = 'openai';
+    static label = 'OpenAI API';
+    static settingKeys = { baseUrl: 'openaiBaseUrl', apiToken: 'openaiApiToken', model: 'openaiModel' };
+    static requiresToken = true;
+
+    async testConnection() {
+        const response = await this.request('/models');
+        return { success: true, data: await response.json() };
+    }
+
+    async listModels() {
+        try {
+            const response = await this.request('/models');
+            const data = await response.json();
+            return data.data.map(model => toModelInfo(model.id, 'openai'));
+        } catch (error) {
+            console.error('Failed to fetch OpenAI models:', error);
+            return FALLBACK_MODELS.map(name => ({ name, size: 0, digest: name }));
+        }
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.request('/chat/completions', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, false),
+            signal: options.signal
+        });
+
+        const data = await response.json();
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            console.error('Unexpected response format:', data);
+            throw new Error(`Unexpected response format from ${this.label}`);
+        }
+        return data.choices[0].message.content;
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const response = await this.request('/chat/completions', {
+            method: 'POST',
+            body: this.buildRequestBody(messages, options, true),
+            signal: options.signal
+        });
+
+        // Server-sent events, one "data: {...}" line per delta
+        let fullResponse = '';
+        await readServerSentEvents(response, (event) => {
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                fullResponse += delta;
+                onToken(delta, fullResponse);
+            }
+        });
+        return fullResponse;
+    }
+
+    buildRequestBody(messages, { temperature, maxTokens }, stream) {
+        return {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream
+        };
+    }
+
+    getHeaders() {
+        return this.apiToken ? { 'Authorization': `Bearer ${this.apiToken}` } : {};
+    }
+
+    createHttpError(status, errorText) {
+        if (status >= 500) {
+            const error = new Error(`${this.label} service is temporarily unavailable. Please try again later.`);
+            error.status = status;
+            return error;
+        }
+        return super.createHttpError(status, errorText);
+    }
+}
+
+/**
+ * Model entry in the shape the model list uses, for APIs that only report ids
+ */
+export function toModelInfo(name, format) {
+    return {
+        name,
+        size: 0, // Remote APIs don't report model size
+        digest: name,
+        details: {
+            families: null,
+            format,
+            parameter_size: 'Unknown'
+        }
+    };
+}
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// 密钥取自环境变量，测试不生成 .terminal-secret
+process.env.TERMINAL_AUTH_SECRET = 'test-secret';
+
+const { createTerminalToken, verifyTerminalToken } = await import('../server/auth.js');
+
+test('签发的令牌可以通过校验', () => {
+  const claims = verifyTerminalToken(createTerminalToken('alice'));
+
+  assert.equal(claims.user, 'alice');
+  assert.ok(claims.exp > Date.now());
+});
+
+test('令牌只能使用一次', () => {
+  const token = createTerminalToken('alice');
+
+  assert.ok(verifyTerminalToken(token));
+  assert.equal(verifyTerminalToken(token), null);
+});
+
+test('拒绝过期的令牌', () => {
+  assert.equal(verifyTerminalToken(createTerminalToken('alice', -1)), null);
+});
+
+test('拒绝被修改的令牌', () => {
+  const [payload, signature] = createTerminalToken('alice').split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, user: 'root' })).toString('base64url');
+
+  assert.equal(verifyTerminalToken(`${forged}.${signature}`), null);
+  assert.equal(verifyTerminalToken(`${payload}.${signature.slice(0, -1)}`), null);
+});
+
+test('拒绝格式不正确的令牌', () => {
+  assert.equal(verifyTerminalToken(undefined), null);
+  assert.equal(verifyTerminalToken(''), null);
+  assert.equal(verifyTerminalToken('no-signature'), null);
+});
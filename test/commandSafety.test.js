@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDangerRules, findDangerousPatterns } from '../src/scripts/commandSafety.js';
+
+const matchedIds = (command, rules) => findDangerousPatterns(command, rules).map(rule => rule.id);
+
+test('识别内置的危险命令', () => {
+  assert.deepEqual(matchedIds('rm -rf /tmp/build'), ['rm-rf']);
+  assert.deepEqual(matchedIds('rm -r -f dir'), ['rm-rf']);
+  assert.deepEqual(matchedIds('rm --recursive --force dir'), ['rm-rf']);
+  assert.deepEqual(matchedIds('dd if=/dev/zero of=/dev/sda'), ['dd']);
+  assert.deepEqual(matchedIds('mkfs.ext4 /dev/sdb1'), ['mkfs']);
+  assert.deepEqual(matchedIds('curl -fsSL https://example.com/install.sh | sudo bash'), ['pipe-to-shell']);
+  assert.deepEqual(matchedIds('chmod -R 777 /var/www'), ['chmod-777']);
+  assert.deepEqual(matchedIds('git push --force origin main'), ['force-push']);
+  assert.deepEqual(matchedIds('git push -f'), ['force-push']);
+});
+
+test('不误报普通命令', () => {
+  assert.deepEqual(matchedIds('rm -r dir'), []);
+  assert.deepEqual(matchedIds('rm -f file; ls -R'), []);
+  assert.deepEqual(matchedIds('dd if=/dev/zero | head'), []);
+  assert.deepEqual(matchedIds('curl https://example.com | jq .'), []);
+  assert.deepEqual(matchedIds('chmod 777 file'), []);
+  assert.deepEqual(matchedIds('git push origin main'), []);
+});
+
+test('配置规则可以禁用、覆盖和新增规则', () => {
+  const rules = buildDangerRules([
+    { id: 'rm-rf', enabled: false },
+    { id: 'mkfs', description: 'Custom description' },
+    { id: 'shutdown', pattern: '\\bshutdown\\b', description: 'Shuts down the machine' },
+    { pattern: 'ignored without id' }
+  ]);
+  const ids = rules.map(rule => rule.id);
+
+  assert.ok(!ids.includes('rm-rf'));
+  assert.ok(ids.includes('shutdown'));
+  assert.equal(rules.find(rule => rule.id === 'mkfs').description, 'Custom description');
+  assert.deepEqual(matchedIds('rm -rf / && sudo shutdown now', rules), ['shutdown']);
+});
+
+test('无效的正则表达式不匹配', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(matchedIds('anything', [{ id: 'broken', pattern: '(' }]), []);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { CwdTracker } from '../server/cwdTracker.js';
+
+function createTracker(pid = null) {
+  const changes = [];
+  const tracker = new CwdTracker(pid, '/start', cwd => changes.push(cwd));
+  return { tracker, changes };
+}
+
+test('解析以 BEL 或 ST 结束的 OSC 7', () => {
+  const { tracker, changes } = createTracker();
+  tracker.update('prompt\x1b]7;file://host/home/user\x07$ ');
+  tracker.update('\x1b]7;file://host/tmp/a%20b\x1b\\');
+
+  assert.deepEqual(changes, ['/home/user', '/tmp/a b']);
+  assert.equal(tracker.cwd, '/tmp/a b');
+});
+
+test('同一块输出中有多个序列时采用最后一个', () => {
+  const { tracker, changes } = createTracker();
+  tracker.update('\x1b]7;file:///one\x07output\x1b]7;file:///two\x07');
+
+  assert.deepEqual(changes, ['/two']);
+});
+
+test('拼接被拆到两块输出中的序列', () => {
+  const { tracker, changes } = createTracker();
+  tracker.update('text\x1b]');
+  tracker.update('7;file:///sp');
+  tracker.update('lit\x1b');
+  tracker.update('\\more');
+
+  assert.deepEqual(changes, ['/split']);
+});
+
+test('忽略无效的地址', () => {
+  const { tracker, changes } = createTracker();
+  tracker.update('\x1b]7;http://host/path\x07\x1b]7;file:///bad%zz\x07\x1b]7;not a url\x07');
+
+  assert.deepEqual(changes, []);
+  assert.equal(tracker.cwd, '/start');
+});
+
+test('远程会话的 OSC 7 只用于显示', () => {
+  const { tracker } = createTracker();
+  tracker.update('\x1b]7;file://localhost/etc\x07');
+
+  assert.equal(tracker.cwd, '/etc');
+  assert.equal(tracker.getLocalCwd(), '/start');
+});
+
+test('本机会话优先采用 /proc 中的目录', () => {
+  const { tracker } = createTracker(process.pid);
+  tracker.update(`\x1b]7;file://${os.hostname()}/etc\x07`);
+
+  assert.equal(tracker.cwd, '/etc');
+  assert.equal(tracker.localCwd, '/etc');
+  assert.equal(tracker.getLocalCwd(), process.cwd());
+  tracker.dispose();
+});
+
+test('本机会话不采用其他主机的 OSC 7', () => {
+  const { tracker } = createTracker(process.pid);
+  tracker.update('\x1b]7;file://other-host/etc\x07');
+
+  assert.equal(tracker.cwd, '/etc');
+  assert.equal(tracker.localCwd, null);
+  tracker.dispose();
+});
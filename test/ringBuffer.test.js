@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBuffer } from '../server/ringBuffer.js';
+
+test('按 UTF-8 字节计算偏移量', () => {
+  const buffer = new RingBuffer(1024);
+  buffer.push('ab');
+  buffer.push('中文');
+
+  assert.equal(buffer.start, 0);
+  assert.equal(buffer.end, 8);
+  assert.equal(buffer.toString(), 'ab中文');
+  assert.equal(buffer.slice(2), '中文');
+  assert.equal(buffer.slice(2, 5), '中');
+});
+
+test('超出上限时丢弃最早的输出段并前移起始偏移量', () => {
+  const buffer = new RingBuffer(8);
+  buffer.push('aaaa');
+  buffer.push('bbbb');
+  buffer.push('cccc');
+
+  assert.equal(buffer.end, 12);
+  assert.equal(buffer.start, 4);
+  assert.equal(buffer.toString(), 'bbbbcccc');
+  // 已丢弃的范围被忽略
+  assert.equal(buffer.slice(0), 'bbbbcccc');
+  assert.equal(buffer.slice(6, 10), 'bbcc');
+});
+
+test('单段输出超过上限时只保留尾部完整的字符', () => {
+  const buffer = new RingBuffer(5);
+  buffer.push('x中文字'); // 1 + 3 * 3 = 10 字节
+
+  assert.equal(buffer.end, 10);
+  // 尾部 5 字节从“文”的中间开始，跳到下一个完整字符
+  assert.equal(buffer.toString(), '字');
+  assert.equal(buffer.start, 7);
+});
+
+test('clear 清空内容但保留偏移量', () => {
+  const buffer = new RingBuffer(16);
+  buffer.push('hello');
+  buffer.clear();
+
+  assert.equal(buffer.toString(), '');
+  assert.equal(buffer.start, 5);
+  assert.equal(buffer.end, 5);
+});
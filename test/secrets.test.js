@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 口令取自环境变量，config.yaml 从临时目录读取，测试不写入仓库目录
+process.env.AI_SECRET_KEY = 'test-passphrase';
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xterminal-secrets-'));
+fs.writeFileSync(path.join(workDir, 'config.yaml'), 'aiSecrets:\n  allowedEnvVars:\n    - CUSTOM_SECRET\n');
+process.chdir(workDir);
+
+const { encryptSecret, revealSecret, isEncryptedSecret, isAllowedSecretReference } = await import('../server/secrets.js');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('加密后可以还原，每次加密结果不同', () => {
+  const encrypted = encryptSecret('sk-test-123');
+
+  assert.ok(isEncryptedSecret(encrypted));
+  assert.ok(!encrypted.includes('sk-test-123'));
+  assert.notEqual(encryptSecret('sk-test-123'), encrypted);
+  assert.equal(revealSecret(encrypted), 'sk-test-123');
+});
+
+test('空值、已加密的值和环境变量引用不加密', () => {
+  const encrypted = encryptSecret('token');
+
+  assert.equal(encryptSecret(''), '');
+  assert.equal(encryptSecret(encrypted), encrypted);
+  assert.equal(encryptSecret('${OPENAI_API_KEY}'), '${OPENAI_API_KEY}');
+});
+
+test('篡改过的密文无法解密', () => {
+  const encrypted = encryptSecret('token');
+  const tampered = encrypted.slice(0, -2) + (encrypted.endsWith('AA') ? 'BB' : 'AA');
+
+  assert.throws(() => revealSecret(tampered), /无法解密/);
+});
+
+test('展开环境变量引用，明文原样返回', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  process.env.TEST_SECRETS_API_KEY = 'from-env';
+
+  assert.equal(revealSecret('${TEST_SECRETS_API_KEY}'), 'from-env');
+  assert.equal(revealSecret('${TEST_SECRETS_UNSET_API_KEY}'), '');
+  assert.equal(revealSecret('plain-token'), 'plain-token');
+});
+
+test('只允许引用 API 令牌变量和 config.yaml 中列出的变量', () => {
+  assert.ok(isAllowedSecretReference('OPENAI_API_KEY'));
+  assert.ok(isAllowedSecretReference('GITHUB_API_TOKEN'));
+  assert.ok(isAllowedSecretReference('CUSTOM_SECRET'));
+  assert.ok(!isAllowedSecretReference('AI_SECRET_KEY'));
+  assert.ok(!isAllowedSecretReference('AWS_SECRET_ACCESS_KEY'));
+  assert.ok(!isAllowedSecretReference('OPENAI_API_KEY_BACKUP'));
+});
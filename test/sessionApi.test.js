@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tailBytes } from '../server/sessionApi.js';
+
+test('未超过上限时原样返回', () => {
+  assert.equal(tailBytes('hello', 5), 'hello');
+  assert.equal(tailBytes('', 10), '');
+});
+
+test('按字节保留尾部', () => {
+  assert.equal(tailBytes('hello world', 5), 'world');
+});
+
+test('跳过被截断的多字节字符', () => {
+  // “中文” 共 6 字节，尾部 4 字节从“中”的中间开始
+  assert.equal(tailBytes('中文', 4), '文');
+  assert.equal(tailBytes('a中文', 2), '');
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBuffer } from '../server/ringBuffer.js';
+import { TerminalSession } from '../server/sessionManager.js';
+
+// 只用到 getReplay 读取的 buffer，无需启动终端进程
+function fakeSession(maxBytes, ...outputs) {
+  const buffer = new RingBuffer(maxBytes);
+  outputs.forEach(output => buffer.push(output));
+  return { buffer, getReplay: TerminalSession.prototype.getReplay };
+}
+
+test('偏移量在缓冲区内时只回放之后的输出', () => {
+  const session = fakeSession(1024, 'hello ', 'world');
+
+  assert.deepEqual(session.getReplay(6), { data: 'world', reset: false, offset: 11 });
+  assert.deepEqual(session.getReplay(11), { data: '', reset: false, offset: 11 });
+});
+
+test('首次连接时回放全部输出并要求清屏', () => {
+  const session = fakeSession(1024, 'hello');
+
+  assert.deepEqual(session.getReplay(undefined), { data: 'hello', reset: true, offset: 5 });
+});
+
+test('偏移量已被丢弃或超出末尾时回放全部缓冲内容', () => {
+  const session = fakeSession(8, 'aaaa', 'bbbb', 'cccc');
+
+  assert.deepEqual(session.getReplay(2), { data: 'bbbbcccc', reset: true, offset: 12 });
+  assert.deepEqual(session.getReplay(20), { data: 'bbbbcccc', reset: true, offset: 12 });
+  assert.equal(session.getReplay(1.5).reset, true);
+});